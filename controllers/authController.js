@@ -1,6 +1,8 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Theater = require('../models/Theater');
+const Reservation = require('../models/Reservation');
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -12,7 +14,7 @@ const generateToken = (userId) => {
 // Register new user
 const register = async (req, res) => {
   try {
-    const { firstName, lastName, email, password, phone, dateOfBirth, preferences } = req.body;
+    const { firstName, lastName, email, password, phone, dateOfBirth, preferences, guestReservationNumber } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -36,6 +38,19 @@ const register = async (req, res) => {
 
     await user.save();
 
+    // Bring over earlier guest bookings; one of their reservation numbers proves
+    // the email's bookings belong to this person
+    let claimedReservations = 0;
+    if (guestReservationNumber) {
+      try {
+        if (await Reservation.findGuestReservation(guestReservationNumber, user.email)) {
+          claimedReservations = await Reservation.claimGuestReservations(user);
+        }
+      } catch (error) {
+        console.error('Claim guest reservations error:', error);
+      }
+    }
+
     // Generate token
     const token = generateToken(user._id);
 
@@ -51,7 +66,8 @@ const register = async (req, res) => {
         age: user.age,
         fullName: user.fullName
       },
-      token
+      token,
+      claimedReservations
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -340,10 +356,11 @@ const updateUserRole = async (req, res) => {
     const { userId } = req.params;
     const { role } = req.body;
 
-    if (!['user', 'admin'].includes(role)) {
+    const validRoles = ['user', 'admin', 'usher', 'box_office', 'theater_manager'];
+    if (!validRoles.includes(role)) {
       return res.status(400).json({
         error: 'Invalid role',
-        message: 'Role must be either "user" or "admin"'
+        message: 'Role must be one of: ' + validRoles.join(', ')
       });
     }
 
@@ -378,6 +395,53 @@ const updateUserRole = async (req, res) => {
   }
 };
 
+// Admin: Assign the theaters a user manages
+const updateUserTheaters = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const theaterIds = [...new Set(req.body.theaters)];
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User not found'
+      });
+    }
+
+    const theaters = await Theater.find({ _id: { $in: theaterIds } }).select('name');
+    if (theaters.length !== theaterIds.length) {
+      return res.status(400).json({
+        error: 'Invalid theaters',
+        message: 'One or more theaters do not exist'
+      });
+    }
+
+    user.theaters = theaterIds;
+    await user.save();
+
+    res.json({
+      message: 'User theaters updated successfully',
+      user: {
+        id: user._id,
+        fullName: user.fullName,
+        role: user.role,
+        theaters
+      },
+      // Assignments only take effect for theater managers
+      warning: user.role !== 'theater_manager' && theaterIds.length > 0
+        ? 'This user is not a theater manager, so the assignment has no effect until their role is changed'
+        : undefined
+    });
+  } catch (error) {
+    console.error('Update user theaters error:', error);
+    res.status(500).json({
+      error: 'Failed to update user theaters',
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -386,5 +450,6 @@ module.exports = {
   changePassword,
   deactivateAccount,
   getAllUsers,
-  updateUserRole
+  updateUserRole,
+  updateUserTheaters
 };
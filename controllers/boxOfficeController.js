@@ -0,0 +1,419 @@
+const Reservation = require('../models/Reservation');
+const Showtime = require('../models/Showtime');
+const RefundTransaction = require('../models/RefundTransaction');
+const User = require('../models/User');
+const payments = require('../services/payments');
+const { formatCurrency, formatDateTime } = require('../utils/helpers');
+
+// Walk-in customers can still buy tickets shortly after the showtime starts
+const SALE_CUTOFF_MINUTES = 30;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Build the printable receipt for a box office sale
+const buildReceipt = (reservation) => {
+  const { showtime, boxOfficeSale, paymentDetails } = reservation;
+  const currency = paymentDetails.currency;
+  const soldBy = boxOfficeSale.soldBy && boxOfficeSale.soldBy.firstName
+    ? `${boxOfficeSale.soldBy.firstName} ${boxOfficeSale.soldBy.lastName}`
+    : undefined;
+
+  const receipt = {
+    receiptNumber: boxOfficeSale.receiptNumber,
+    reservationNumber: reservation.reservationNumber,
+    soldAt: reservation.createdAt,
+    terminal: boxOfficeSale.terminal,
+    soldBy,
+    customer: boxOfficeSale.customerName,
+    movie: showtime.movie.title,
+    theater: showtime.theater.name,
+    startTime: showtime.startTime,
+    seats: reservation.seats.map(seat => ({
+      seat: `${seat.row}${seat.number}`,
+      type: seat.type,
+      price: seat.price
+    })),
+    total: reservation.totalAmount,
+    paymentMethod: paymentDetails.method,
+    paymentStatus: paymentDetails.status,
+    amountTendered: boxOfficeSale.amountTendered,
+    changeGiven: boxOfficeSale.changeGiven,
+    currency
+  };
+
+  const lines = [
+    showtime.theater.name,
+    `Receipt ${receipt.receiptNumber}`,
+    `Reservation ${receipt.reservationNumber}`,
+    `Terminal ${receipt.terminal}${soldBy ? ` - ${soldBy}` : ''}`,
+    formatDateTime(receipt.soldAt || new Date()),
+    '',
+    showtime.movie.title,
+    formatDateTime(showtime.startTime),
+    ...receipt.seats.map(seat => `Seat ${seat.seat} (${seat.type})  ${formatCurrency(seat.price, currency)}`),
+    '',
+    `Total  ${formatCurrency(receipt.total, currency)}`,
+    `Paid by ${receipt.paymentMethod.replace('_', ' ')}`
+  ];
+  if (receipt.paymentMethod === 'cash') {
+    lines.push(`Tendered  ${formatCurrency(receipt.amountTendered, currency)}`);
+    lines.push(`Change  ${formatCurrency(receipt.changeGiven, currency)}`);
+  }
+  receipt.text = lines.join('\n');
+
+  return receipt;
+};
+
+// Populate what the receipt prints
+const populateForReceipt = async (reservation) => {
+  await reservation.populate({
+    path: 'showtime',
+    select: 'startTime endTime movie theater',
+    populate: [
+      { path: 'movie', select: 'title duration rating' },
+      { path: 'theater', select: 'name location' }
+    ]
+  });
+  await reservation.populate('boxOfficeSale.soldBy', 'firstName lastName');
+};
+
+// Staff: Sell seats to a walk-in customer at the box office
+const createSale = async (req, res) => {
+  try {
+    const { showtime, seats, count, type, terminal, customer = {}, payment } = req.body;
+
+    const showtimeDoc = await Showtime.findById(showtime);
+    if (!showtimeDoc || !showtimeDoc.isActive) {
+      return res.status(400).json({
+        error: 'Invalid showtime',
+        message: 'Showtime not found or inactive'
+      });
+    }
+
+    if (req.user.role === 'theater_manager' && !req.user.managesTheater(showtimeDoc.theater)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only manage the theaters you are assigned to'
+      });
+    }
+
+    const cutoff = new Date(showtimeDoc.startTime.getTime() + SALE_CUTOFF_MINUTES * 60 * 1000);
+    if (new Date() > cutoff) {
+      return res.status(400).json({
+        error: 'Showtime unavailable',
+        message: 'Box office sales close 30 minutes after the showtime starts'
+      });
+    }
+
+    let requestedSeats;
+    if (count) {
+      const [best] = showtimeDoc.findBestSeats(count, type, 1);
+      if (!best) {
+        return res.status(409).json({
+          error: 'Seats unavailable',
+          message: `Not enough ${type ? type + ' ' : ''}seats available for ${count} people`
+        });
+      }
+      requestedSeats = best.seats.map(seat => ({ row: seat.row, number: seat.number }));
+    } else {
+      requestedSeats = seats.map(seat => ({ row: seat.row, number: seat.number }));
+    }
+
+    const reservationSeats = [];
+    const unavailableSeats = [];
+    for (const seat of requestedSeats) {
+      const availableSeat = showtimeDoc.availableSeats.find(s =>
+        s.row === seat.row && s.number === seat.number && s.isAvailable
+      );
+      if (!availableSeat) {
+        unavailableSeats.push(`${seat.row}${seat.number}`);
+        continue;
+      }
+      reservationSeats.push({
+        row: seat.row,
+        number: seat.number,
+        type: availableSeat.type,
+        price: availableSeat.price
+      });
+    }
+
+    if (unavailableSeats.length > 0) {
+      return res.status(400).json({
+        error: 'Seats unavailable',
+        message: `The following seats are not available: ${unavailableSeats.join(', ')}`
+      });
+    }
+
+    const totalAmount = roundAmount(reservationSeats.reduce((sum, seat) => sum + seat.price, 0));
+
+    let amountTendered;
+    let changeGiven;
+    if (payment.method === 'cash') {
+      amountTendered = roundAmount(Number(payment.amountTendered));
+      if (amountTendered < totalAmount) {
+        return res.status(400).json({
+          error: 'Insufficient payment',
+          message: `Amount tendered is less than the total of ${formatCurrency(totalAmount)}`
+        });
+      }
+      changeGiven = roundAmount(amountTendered - totalAmount);
+    }
+
+    // Attach the sale to the customer's account when they have one
+    let account = null;
+    if (customer.email) {
+      account = await User.findOne({ email: customer.email, isActive: true });
+    }
+
+    const reservation = new Reservation({
+      user: account ? account._id : undefined,
+      channel: 'box_office',
+      showtime,
+      seats: reservationSeats,
+      totalAmount,
+      paymentDetails: {
+        method: payment.method,
+        amount: totalAmount
+      },
+      contactInfo: {
+        email: customer.email || (account && account.email),
+        phone: customer.phone || (account && account.phone)
+      },
+      boxOfficeSale: {
+        soldBy: req.user._id,
+        terminal,
+        customerName: customer.name || (account ? `${account.firstName} ${account.lastName}` : undefined),
+        amountTendered,
+        changeGiven
+      }
+    });
+    reservation.boxOfficeSale.receiptNumber = reservation.generateReceiptNumber();
+    reservation.setActor(req.user);
+
+    const locked = await Showtime.lockSeats(showtime, requestedSeats, reservation.getSeatHolder());
+    if (!locked) {
+      return res.status(409).json({
+        error: 'Seats unavailable',
+        message: 'One or more of the requested seats were just reserved by someone else'
+      });
+    }
+
+    try {
+      await reservation.save();
+    } catch (error) {
+      console.error('Box office seat reservation error:', error);
+      await Showtime.unlockSeats(showtime, requestedSeats);
+
+      return res.status(400).json({
+        error: 'Sale failed',
+        message: error.message || 'Failed to reserve seats'
+      });
+    }
+
+    let pending = false;
+    if (payment.method === 'cash') {
+      // Cash is taken at the counter, so the receipt number doubles as the transaction ID
+      reservation.paymentDetails.provider = 'box_office';
+      reservation.paymentDetails.transactionId = reservation.boxOfficeSale.receiptNumber;
+      reservation.paymentDetails.status = 'captured';
+      reservation.paymentDetails.paymentDate = new Date();
+    } else {
+      const result = await payments.chargeReservation(reservation, { token: payment.token });
+
+      if (!result.success) {
+        reservation.failPayment(result.message);
+        await reservation.save();
+        await Showtime.unlockSeats(showtime, requestedSeats);
+
+        return res.status(402).json({
+          error: 'Payment failed',
+          message: result.message,
+          receiptNumber: reservation.boxOfficeSale.receiptNumber
+        });
+      }
+
+      pending = Boolean(result.pending);
+    }
+
+    // Asynchronous card payments are confirmed later by the payment webhook
+    if (pending) {
+      reservation.paymentExpiresAt = new Date(Date.now() + Reservation.getPaymentWindowMs());
+    } else {
+      reservation.confirm();
+    }
+    await reservation.save();
+
+    await populateForReceipt(reservation);
+
+    res.status(201).json({
+      message: pending
+        ? 'Sale recorded, awaiting payment confirmation'
+        : 'Sale completed successfully',
+      reservation,
+      receipt: buildReceipt(reservation)
+    });
+  } catch (error) {
+    console.error('Box office sale error:', error);
+    res.status(500).json({
+      error: 'Failed to complete sale',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+// Staff: Reprint the receipt for a box office sale
+const getSaleReceipt = async (req, res) => {
+  try {
+    const reservation = await Reservation.findOne({ _id: req.params.id, channel: 'box_office' });
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Sale not found',
+        message: 'The requested box office sale does not exist'
+      });
+    }
+
+    await populateForReceipt(reservation);
+
+    if (req.user.role === 'theater_manager' && !req.user.managesTheater(reservation.showtime.theater)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only manage the theaters you are assigned to'
+      });
+    }
+
+    res.json({
+      message: 'Receipt retrieved successfully',
+      receipt: buildReceipt(reservation)
+    });
+  } catch (error) {
+    console.error('Get sale receipt error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch receipt',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Staff: End-of-shift cash drawer reconciliation for a terminal
+const getDrawerReport = async (req, res) => {
+  try {
+    const { terminal, staff, startDate, endDate } = req.query;
+    const openingFloat = roundAmount(parseFloat(req.query.openingFloat) || 0);
+
+    // Defaults to today's shift
+    const from = startDate ? new Date(startDate) : new Date(new Date().setHours(0, 0, 0, 0));
+    const to = endDate ? new Date(endDate) : new Date();
+
+    const match = {
+      channel: 'box_office',
+      createdAt: { $gte: from, $lte: to }
+    };
+    if (terminal) {
+      match['boxOfficeSale.terminal'] = terminal;
+    }
+    if (staff) {
+      match['boxOfficeSale.soldBy'] = staff;
+    }
+
+    // Theater managers only see sales at their own theaters; box office staff
+    // aren't assigned to theaters, so their drawer covers every sale
+    if (req.user.role === 'theater_manager') {
+      match.showtime = { $in: await Showtime.findIdsForTheaters(req.user.getManagedTheaters()) };
+    }
+
+    const sales = await Reservation.find(match)
+      .select('status totalAmount seats paymentDetails boxOfficeSale createdAt')
+      .populate('boxOfficeSale.soldBy', 'firstName lastName');
+
+    const byMethod = {};
+    const byStaff = {};
+    let salesCount = 0;
+    let ticketCount = 0;
+    let total = 0;
+    let cashTendered = 0;
+    let changeGiven = 0;
+    let failedPayments = 0;
+
+    for (const sale of sales) {
+      if (sale.paymentDetails.status !== 'captured' && sale.paymentDetails.status !== 'disputed') {
+        if (sale.paymentDetails.status === 'failed') failedPayments++;
+        continue;
+      }
+
+      const method = sale.paymentDetails.method;
+      byMethod[method] = byMethod[method] || { count: 0, amount: 0 };
+      byMethod[method].count++;
+      byMethod[method].amount = roundAmount(byMethod[method].amount + sale.totalAmount);
+
+      const seller = sale.boxOfficeSale.soldBy;
+      const sellerId = seller ? (seller._id || seller).toString() : 'unknown';
+      byStaff[sellerId] = byStaff[sellerId] || {
+        staff: seller && seller.firstName ? `${seller.firstName} ${seller.lastName}` : sellerId,
+        count: 0,
+        amount: 0
+      };
+      byStaff[sellerId].count++;
+      byStaff[sellerId].amount = roundAmount(byStaff[sellerId].amount + sale.totalAmount);
+
+      salesCount++;
+      ticketCount += sale.seats.length;
+      total = roundAmount(total + sale.totalAmount);
+      if (method === 'cash') {
+        cashTendered = roundAmount(cashTendered + (sale.boxOfficeSale.amountTendered || 0));
+        changeGiven = roundAmount(changeGiven + (sale.boxOfficeSale.changeGiven || 0));
+      }
+    }
+
+    // Cash refunds for these sales are paid out of the drawer
+    const refunds = await RefundTransaction.find({
+      reservation: { $in: sales.map(sale => sale._id) },
+      method: 'cash',
+      createdAt: { $gte: from, $lte: to }
+    }).select('amount');
+    const cashRefunds = roundAmount(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+
+    const cashSales = byMethod.cash ? byMethod.cash.amount : 0;
+    const expectedCash = roundAmount(openingFloat + cashSales - cashRefunds);
+    const countedCash = req.query.countedCash !== undefined
+      ? roundAmount(parseFloat(req.query.countedCash))
+      : undefined;
+
+    res.json({
+      message: 'Drawer report generated successfully',
+      terminal: terminal || 'all',
+      period: { startDate: from, endDate: to },
+      summary: {
+        salesCount,
+        ticketCount,
+        total,
+        failedPayments
+      },
+      byMethod,
+      byStaff: Object.values(byStaff).sort((a, b) => b.amount - a.amount),
+      cash: {
+        openingFloat,
+        cashSales,
+        cashTendered,
+        changeGiven,
+        cashRefunds,
+        expectedCash,
+        countedCash,
+        // Positive means the drawer is over, negative means it is short
+        variance: countedCash !== undefined ? roundAmount(countedCash - expectedCash) : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Get drawer report error:', error);
+    res.status(500).json({
+      error: 'Failed to generate drawer report',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createSale,
+  getSaleReceipt,
+  getDrawerReport
+};
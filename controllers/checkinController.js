@@ -0,0 +1,123 @@
+const Reservation = require('../models/Reservation');
+const { verifyTicket } = require('../utils/tickets');
+
+// What staff see for a scanned ticket
+const describeTicket = (reservation) => ({
+  id: reservation._id,
+  reservationNumber: reservation.reservationNumber,
+  status: reservation.status,
+  customer: reservation.user ? `${reservation.user.firstName} ${reservation.user.lastName}` : undefined,
+  movie: reservation.showtime.movie,
+  theater: reservation.showtime.theater,
+  startTime: reservation.showtime.startTime,
+  seats: reservation.seats.map(seat => ({
+    row: seat.row,
+    number: seat.number,
+    type: seat.type,
+    checkedInAt: seat.checkedInAt
+  })),
+  seatCount: reservation.seatCount,
+  checkInTime: reservation.checkInTime,
+  checkedInSeatCount: reservation.checkedInSeatCount,
+  attendance: reservation.attendance
+});
+
+// Staff: Scan a QR ticket, verify it and check the reservation in
+const scanTicket = async (req, res) => {
+  try {
+    const { code, seats } = req.body;
+
+    let ticket;
+    try {
+      ticket = verifyTicket(code);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid ticket',
+        message: error.message
+      });
+    }
+
+    const reservation = await Reservation.findById(ticket.reservation)
+      .populate({
+        path: 'showtime',
+        populate: [
+          { path: 'movie', select: 'title duration rating' },
+          { path: 'theater', select: 'name' }
+        ]
+      })
+      .populate('user', 'firstName lastName');
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        message: 'The reservation on this ticket does not exist'
+      });
+    }
+
+    // Theater managers only check in tickets for the theaters they are assigned to
+    if (req.user.role === 'theater_manager' && !req.user.managesTheater(reservation.showtime.theater)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only manage the theaters you are assigned to'
+      });
+    }
+
+    // A seat change or exchange issues a new code, so older printouts stop working
+    if (reservation.qrCode !== code) {
+      return res.status(400).json({
+        error: 'Invalid ticket',
+        message: 'This ticket has been replaced; please show the latest ticket'
+      });
+    }
+
+    const checkInError = reservation.getCheckInError();
+    if (checkInError) {
+      return res.status(400).json({ ...checkInError, reservation: describeTicket(reservation) });
+    }
+
+    if (reservation.attendance === 'full') {
+      return res.status(409).json({
+        error: 'Already checked in',
+        message: 'Every seat on this ticket has already been checked in',
+        reservation: describeTicket(reservation)
+      });
+    }
+
+    // Staff can admit part of a group by listing the seats arriving now
+    const checkedIn = reservation.setActor(req.user).checkIn(seats, req.user._id);
+    await reservation.save();
+
+    res.json({
+      message: reservation.attendance === 'full'
+        ? 'Check-in successful'
+        : 'Partial check-in successful',
+      checkedInSeats: checkedIn.map(seat => `${seat.row}${seat.number}`).join(', '),
+      reservation: describeTicket(reservation)
+    });
+  } catch (error) {
+    console.error('Scan ticket error:', error);
+
+    if (error.name === 'CheckInError') {
+      return res.status(400).json({
+        error: 'Check-in failed',
+        message: error.message
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Reservation changed',
+        message: 'This reservation was modified by another request, please scan again'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to check in',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  scanTicket
+};
@@ -0,0 +1,196 @@
+const PaymentEvent = require('../models/PaymentEvent');
+const payments = require('../services/payments');
+const { processPaymentEvent } = require('../services/payments/webhooks');
+
+// Receive a payment provider webhook
+const handleWebhook = async (req, res) => {
+  try {
+    const provider = payments.getPaymentProvider();
+
+    let event;
+    try {
+      event = provider.parseWebhook(req.rawBody || Buffer.from(''), req.headers);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid webhook',
+        message: error.message
+      });
+    }
+
+    // De-duplicate by event ID; providers retry until they get a 2xx
+    let paymentEvent;
+    try {
+      paymentEvent = await PaymentEvent.create({
+        eventId: event.id,
+        provider: provider.name,
+        type: event.type,
+        payload: event
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Only an event that failed last time is worth another attempt
+      paymentEvent = await PaymentEvent.findOneAndUpdate(
+        { eventId: event.id, status: 'failed' },
+        { status: 'received' },
+        { new: true }
+      );
+
+      if (!paymentEvent) {
+        return res.json({
+          message: 'Event already received',
+          received: true,
+          duplicate: true
+        });
+      }
+    }
+
+    await processPaymentEvent(paymentEvent);
+
+    if (paymentEvent.status === 'failed') {
+      return res.status(500).json({
+        error: 'Failed to process webhook',
+        message: paymentEvent.lastError
+      });
+    }
+
+    res.json({
+      message: 'Event processed successfully',
+      received: true,
+      status: paymentEvent.status,
+      result: paymentEvent.result
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to process webhook',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Get stored payment events
+const getPaymentEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    if (req.query.reservation) {
+      query.reservation = req.query.reservation;
+    }
+
+    const paymentEvents = await PaymentEvent.find(query)
+      .populate('reservation', 'reservationNumber status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await PaymentEvent.countDocuments(query);
+
+    res.json({
+      message: 'Payment events retrieved successfully',
+      paymentEvents,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPaymentEvents: total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get payment events error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve payment events',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Get payment event by ID
+const getPaymentEventById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const paymentEvent = await PaymentEvent.findById(id)
+      .populate('reservation', 'reservationNumber status paymentDetails');
+
+    if (!paymentEvent) {
+      return res.status(404).json({
+        error: 'Payment event not found',
+        message: 'The requested payment event does not exist'
+      });
+    }
+
+    res.json({
+      message: 'Payment event retrieved successfully',
+      paymentEvent
+    });
+  } catch (error) {
+    console.error('Get payment event by ID error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve payment event',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Replay a stored payment event
+const replayPaymentEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Claim the event so two replays can't run at once
+    const paymentEvent = await PaymentEvent.findOneAndUpdate(
+      { _id: id, status: { $ne: 'received' } },
+      { status: 'received' },
+      { new: true }
+    );
+
+    if (!paymentEvent) {
+      if (!await PaymentEvent.exists({ _id: id })) {
+        return res.status(404).json({
+          error: 'Payment event not found',
+          message: 'The requested payment event does not exist'
+        });
+      }
+
+      return res.status(409).json({
+        error: 'Event in progress',
+        message: 'This payment event is already being processed'
+      });
+    }
+
+    await processPaymentEvent(paymentEvent);
+
+    res.json({
+      message: paymentEvent.status === 'failed'
+        ? 'Payment event replay failed'
+        : 'Payment event replayed successfully',
+      paymentEvent
+    });
+  } catch (error) {
+    console.error('Replay payment event error:', error);
+    res.status(500).json({
+      error: 'Failed to replay payment event',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  handleWebhook,
+  getPaymentEvents,
+  getPaymentEventById,
+  replayPaymentEvent
+};
@@ -0,0 +1,203 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+
+// Admin: Get all promo codes
+const getAllPromoCodes = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    // Filter by active status
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    // Search by code
+    if (req.query.code) {
+      query.code = { $regex: req.query.code.toUpperCase().replace(/[^A-Z0-9_-]/g, '') };
+    }
+
+    const promoCodes = await PromoCode.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await PromoCode.countDocuments(query);
+
+    res.json({
+      message: 'Promo codes retrieved successfully',
+      promoCodes,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPromoCodes: total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get all promo codes error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve promo codes',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Get promo code by ID
+const getPromoCodeById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promoCode = await PromoCode.findById(id)
+      .populate('restrictions.movies', 'title')
+      .populate('restrictions.theaters', 'name location.city');
+
+    if (!promoCode) {
+      return res.status(404).json({
+        error: 'Promo code not found',
+        message: 'The requested promo code does not exist'
+      });
+    }
+
+    const [stats] = await PromoRedemption.aggregate([
+      { $match: { promoCode: promoCode._id } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          uniqueUsers: { $addToSet: '$user' },
+          totalDiscount: { $sum: '$discountAmount' }
+        }
+      }
+    ]);
+
+    res.json({
+      message: 'Promo code retrieved successfully',
+      promoCode,
+      redemptionStats: {
+        redemptions: stats ? stats.redemptions : 0,
+        uniqueUsers: stats ? stats.uniqueUsers.length : 0,
+        totalDiscount: stats ? Math.round(stats.totalDiscount * 100) / 100 : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get promo code by ID error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve promo code',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Create promo code
+const createPromoCode = async (req, res) => {
+  try {
+    const existingCode = await PromoCode.findByCode(req.body.code);
+    if (existingCode) {
+      return res.status(400).json({
+        error: 'Promo code already exists',
+        message: 'A promo code with this code already exists'
+      });
+    }
+
+    const { usedCount, ...promoData } = req.body;
+    const promoCode = new PromoCode({
+      ...promoData,
+      createdBy: req.user._id
+    });
+
+    await promoCode.save();
+
+    res.status(201).json({
+      message: 'Promo code created successfully',
+      promoCode
+    });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(500).json({
+      error: 'Failed to create promo code',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+// Admin: Update promo code
+const updatePromoCode = async (req, res) => {
+  try {
+    const { id } = req.params;
+    // Usage is only ever changed by redemptions
+    const { usedCount, createdBy, ...updateData } = req.body;
+
+    const promoCode = await PromoCode.findById(id);
+    if (!promoCode) {
+      return res.status(404).json({
+        error: 'Promo code not found',
+        message: 'The requested promo code does not exist'
+      });
+    }
+
+    if (updateData.code && updateData.code.toUpperCase() !== promoCode.code) {
+      const existingCode = await PromoCode.findByCode(updateData.code);
+      if (existingCode) {
+        return res.status(400).json({
+          error: 'Promo code already exists',
+          message: 'A promo code with this code already exists'
+        });
+      }
+    }
+
+    Object.assign(promoCode, updateData);
+    await promoCode.save();
+
+    res.json({
+      message: 'Promo code updated successfully',
+      promoCode
+    });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(500).json({
+      error: 'Failed to update promo code',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+// Admin: Delete promo code
+const deletePromoCode = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promoCode = await PromoCode.findById(id);
+    if (!promoCode) {
+      return res.status(404).json({
+        error: 'Promo code not found',
+        message: 'The requested promo code does not exist'
+      });
+    }
+
+    // Soft delete - redemptions keep pointing at the code
+    promoCode.isActive = false;
+    await promoCode.save();
+
+    res.json({
+      message: 'Promo code deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    res.status(500).json({
+      error: 'Failed to delete promo code',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAllPromoCodes,
+  getPromoCodeById,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+};
@@ -0,0 +1,246 @@
+const Refund = require('../models/Refund');
+const RefundTransaction = require('../models/RefundTransaction');
+const payments = require('../services/payments');
+
+// Map workflow errors to a 400 (wrong status) or 502 (provider declined)
+const sendRefundError = (res, error, action) => {
+  if (error.name === 'RefundPayoutError') {
+    return res.status(502).json({
+      error: `Cannot ${action} refund`,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'RefundStateError') {
+    return res.status(400).json({
+      error: `Cannot ${action} refund`,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    error: `Failed to ${action} refund`,
+    message: 'Internal server error'
+  });
+};
+
+// Admin: Get refunds (pending first by default)
+const getAllRefunds = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {
+      status: req.query.status || 'pending'
+    };
+
+    // Filter by payment method
+    if (req.query.method) {
+      query.method = req.query.method;
+    }
+
+    const refunds = await Refund.find(query)
+      .populate('user', 'firstName lastName email')
+      .populate('reservation', 'reservationNumber totalAmount cancelledAt')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Refund.countDocuments(query);
+
+    res.json({
+      message: 'Refunds retrieved successfully',
+      refunds,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRefunds: total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get all refunds error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve refunds',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Get refund by ID
+const getRefundById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const refund = await Refund.findById(id)
+      .populate('user', 'firstName lastName email')
+      .populate('reservation', 'reservationNumber totalAmount paymentDetails cancellationReason cancelledAt refundPolicyApplied')
+      .populate('approvedBy rejectedBy processedBy', 'firstName lastName email')
+      .populate('transaction');
+
+    if (!refund) {
+      return res.status(404).json({
+        error: 'Refund not found',
+        message: 'The requested refund does not exist'
+      });
+    }
+
+    res.json({
+      message: 'Refund retrieved successfully',
+      refund
+    });
+  } catch (error) {
+    console.error('Get refund by ID error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve refund',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Approve refund
+const approveRefund = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await Refund.exists({ _id: id })) {
+      return res.status(404).json({
+        error: 'Refund not found',
+        message: 'The requested refund does not exist'
+      });
+    }
+
+    const refund = await Refund.approve(id, req.user._id);
+
+    res.json({
+      message: 'Refund approved successfully',
+      refund
+    });
+  } catch (error) {
+    console.error('Approve refund error:', error);
+    sendRefundError(res, error, 'approve');
+  }
+};
+
+// Admin: Reject refund
+const rejectRefund = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!await Refund.exists({ _id: id })) {
+      return res.status(404).json({
+        error: 'Refund not found',
+        message: 'The requested refund does not exist'
+      });
+    }
+
+    const refund = await Refund.reject(id, req.user._id, reason);
+
+    res.json({
+      message: 'Refund rejected successfully',
+      refund
+    });
+  } catch (error) {
+    console.error('Reject refund error:', error);
+    sendRefundError(res, error, 'reject');
+  }
+};
+
+// Admin: Process refund back to the original payment method through the payment provider
+const processRefund = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reference } = req.body;
+
+    if (!await Refund.exists({ _id: id })) {
+      return res.status(404).json({
+        error: 'Refund not found',
+        message: 'The requested refund does not exist'
+      });
+    }
+
+    const { refund, transaction } = await Refund.processRefund(id, req.user._id, {
+      reference,
+      payout: payments.refundPayment
+    });
+
+    res.json({
+      message: 'Refund processed successfully',
+      refund,
+      transaction
+    });
+  } catch (error) {
+    console.error('Process refund error:', error);
+    sendRefundError(res, error, 'process');
+  }
+};
+
+// Admin: Get the refund ledger
+const getRefundLedger = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { startDate, endDate, method } = req.query;
+
+    // Default to current month if no dates provided
+    const start = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+    const end = endDate ? new Date(endDate) : new Date();
+
+    const query = {
+      createdAt: { $gte: start, $lte: end }
+    };
+
+    if (method) {
+      query.method = method;
+    }
+
+    const [transactions, total, totals] = await Promise.all([
+      RefundTransaction.find(query)
+        .populate('reservation', 'reservationNumber')
+        .populate('processedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      RefundTransaction.countDocuments(query),
+      RefundTransaction.getTotalsForDateRange(start, end)
+    ]);
+
+    res.json({
+      message: 'Refund ledger retrieved successfully',
+      period: {
+        startDate: start,
+        endDate: end
+      },
+      totalsByMethod: totals.map(item => ({
+        method: item._id,
+        totalRefunded: Math.round(item.totalRefunded * 100) / 100,
+        refundCount: item.refundCount
+      })),
+      transactions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalTransactions: total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get refund ledger error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve refund ledger',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAllRefunds,
+  getRefundById,
+  approveRefund,
+  rejectRefund,
+  processRefund,
+  getRefundLedger
+};
@@ -0,0 +1,277 @@
+const RefundPolicy = require('../models/RefundPolicy');
+const Theater = require('../models/Theater');
+const Showtime = require('../models/Showtime');
+
+// Only one policy can be the default at a time
+const clearOtherDefaults = (policyId) =>
+  RefundPolicy.updateMany({ _id: { $ne: policyId }, isDefault: true }, { isDefault: false });
+
+// Admin: Get all refund policies
+const getAllRefundPolicies = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    // Filter by active status
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const refundPolicies = await RefundPolicy.find(query)
+      .sort({ isDefault: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await RefundPolicy.countDocuments(query);
+
+    res.json({
+      message: 'Refund policies retrieved successfully',
+      refundPolicies,
+      builtInPolicy: RefundPolicy.getBuiltInPolicy(),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRefundPolicies: total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get all refund policies error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve refund policies',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Get refund policy by ID, with the theaters and showtimes using it
+const getRefundPolicyById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const refundPolicy = await RefundPolicy.findById(id)
+      .populate('rules.promoCodes', 'code');
+
+    if (!refundPolicy) {
+      return res.status(404).json({
+        error: 'Refund policy not found',
+        message: 'The requested refund policy does not exist'
+      });
+    }
+
+    const [theaters, showtimes] = await Promise.all([
+      Theater.find({ refundPolicy: id }).select('name location.city'),
+      Showtime.find({ refundPolicy: id }).select('movie theater startTime format')
+    ]);
+
+    res.json({
+      message: 'Refund policy retrieved successfully',
+      refundPolicy,
+      attachedTo: { theaters, showtimes }
+    });
+  } catch (error) {
+    console.error('Get refund policy by ID error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve refund policy',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Create refund policy
+const createRefundPolicy = async (req, res) => {
+  try {
+    const refundPolicy = new RefundPolicy(req.body);
+    await refundPolicy.save();
+
+    if (refundPolicy.isDefault) {
+      await clearOtherDefaults(refundPolicy._id);
+    }
+
+    res.status(201).json({
+      message: 'Refund policy created successfully',
+      refundPolicy
+    });
+  } catch (error) {
+    console.error('Create refund policy error:', error);
+    res.status(500).json({
+      error: 'Failed to create refund policy',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+// Admin: Update refund policy
+const updateRefundPolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const refundPolicy = await RefundPolicy.findById(id);
+    if (!refundPolicy) {
+      return res.status(404).json({
+        error: 'Refund policy not found',
+        message: 'The requested refund policy does not exist'
+      });
+    }
+
+    Object.assign(refundPolicy, req.body);
+    await refundPolicy.save();
+
+    if (refundPolicy.isDefault) {
+      await clearOtherDefaults(refundPolicy._id);
+    }
+
+    res.json({
+      message: 'Refund policy updated successfully',
+      refundPolicy
+    });
+  } catch (error) {
+    console.error('Update refund policy error:', error);
+    res.status(500).json({
+      error: 'Failed to update refund policy',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+// Admin: Delete refund policy
+const deleteRefundPolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const refundPolicy = await RefundPolicy.findById(id);
+    if (!refundPolicy) {
+      return res.status(404).json({
+        error: 'Refund policy not found',
+        message: 'The requested refund policy does not exist'
+      });
+    }
+
+    // Soft delete - cancelled reservations keep pointing at the policy they used,
+    // and theaters/showtimes still attached to it fall back to the next policy
+    refundPolicy.isActive = false;
+    refundPolicy.isDefault = false;
+    await refundPolicy.save();
+
+    res.json({
+      message: 'Refund policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete refund policy error:', error);
+    res.status(500).json({
+      error: 'Failed to delete refund policy',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Check a policy can be attached (null detaches)
+const findAttachablePolicy = async (policyId) => {
+  if (policyId === null) return null;
+  const refundPolicy = await RefundPolicy.findOne({ _id: policyId, isActive: true });
+  if (!refundPolicy) {
+    throw new Error('The requested refund policy does not exist or is inactive');
+  }
+  return refundPolicy;
+};
+
+// Admin: Attach a refund policy to a theater
+const attachToTheater = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const theater = await Theater.findById(id);
+    if (!theater) {
+      return res.status(404).json({
+        error: 'Theater not found',
+        message: 'The requested theater does not exist'
+      });
+    }
+
+    let refundPolicy;
+    try {
+      refundPolicy = await findAttachablePolicy(req.body.refundPolicy);
+    } catch (policyError) {
+      return res.status(400).json({
+        error: 'Invalid refund policy',
+        message: policyError.message
+      });
+    }
+
+    theater.refundPolicy = refundPolicy ? refundPolicy._id : undefined;
+    await theater.save();
+
+    res.json({
+      message: refundPolicy ? 'Refund policy attached to theater' : 'Refund policy detached from theater',
+      theater: {
+        id: theater._id,
+        name: theater.name,
+        refundPolicy
+      }
+    });
+  } catch (error) {
+    console.error('Attach refund policy to theater error:', error);
+    res.status(500).json({
+      error: 'Failed to attach refund policy',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Attach a refund policy to a showtime (overrides the theater's policy)
+const attachToShowtime = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const showtime = await Showtime.findById(id);
+    if (!showtime) {
+      return res.status(404).json({
+        error: 'Showtime not found',
+        message: 'The requested showtime does not exist'
+      });
+    }
+
+    let refundPolicy;
+    try {
+      refundPolicy = await findAttachablePolicy(req.body.refundPolicy);
+    } catch (policyError) {
+      return res.status(400).json({
+        error: 'Invalid refund policy',
+        message: policyError.message
+      });
+    }
+
+    // Only this field changes, so existing reservations don't block the update
+    await Showtime.updateOne(
+      { _id: showtime._id },
+      refundPolicy ? { refundPolicy: refundPolicy._id } : { $unset: { refundPolicy: 1 } }
+    );
+
+    res.json({
+      message: refundPolicy ? 'Refund policy attached to showtime' : 'Refund policy detached from showtime',
+      showtime: {
+        id: showtime._id,
+        refundPolicy
+      }
+    });
+  } catch (error) {
+    console.error('Attach refund policy to showtime error:', error);
+    res.status(500).json({
+      error: 'Failed to attach refund policy',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAllRefundPolicies,
+  getRefundPolicyById,
+  createRefundPolicy,
+  updateRefundPolicy,
+  deleteRefundPolicy,
+  attachToTheater,
+  attachToShowtime
+};
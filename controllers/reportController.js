@@ -1,7 +1,11 @@
 const Reservation = require('../models/Reservation');
+const Showtime = require('../models/Showtime');
 const Movie = require('../models/Movie');
 const Theater = require('../models/Theater');
 const User = require('../models/User');
+const PromoRedemption = require('../models/PromoRedemption');
+const Refund = require('../models/Refund');
+const RefundTransaction = require('../models/RefundTransaction');
 
 // Get revenue report
 const getRevenueReport = async (req, res) => {
@@ -16,7 +20,7 @@ const getRevenueReport = async (req, res) => {
       {
         $match: {
           createdAt: { $gte: start, $lte: end },
-          status: { $in: ['confirmed', 'completed'] }
+          status: { $in: Reservation.getRevenueStatuses() }
         }
       },
       {
@@ -80,7 +84,7 @@ const getPopularMoviesReport = async (req, res) => {
       {
         $match: {
           createdAt: { $gte: start, $lte: end },
-          status: { $in: ['confirmed', 'completed'] }
+          status: { $in: Reservation.getRevenueStatuses() }
         }
       },
       {
@@ -162,11 +166,14 @@ const getTheaterPerformanceReport = async (req, res) => {
     const start = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), new Date().getMonth(), 1);
     const end = endDate ? new Date(endDate) : new Date();
 
+    // Theater managers only see their own theaters
+    const theaters = req.user.getManagedTheaters();
+
     const theaterPerformance = await Reservation.aggregate([
       {
         $match: {
           createdAt: { $gte: start, $lte: end },
-          status: { $in: ['confirmed', 'completed'] }
+          status: { $in: Reservation.getRevenueStatuses() }
         }
       },
       {
@@ -191,6 +198,7 @@ const getTheaterPerformanceReport = async (req, res) => {
       {
         $unwind: '$theaterData'
       },
+      ...(theaters ? [{ $match: { 'theaterData._id': { $in: theaters } } }] : []),
       {
         $group: {
           _id: '$theaterData._id',
@@ -335,11 +343,17 @@ const getReservationStatusReport = async (req, res) => {
     const start = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), new Date().getMonth(), 1);
     const end = endDate ? new Date(endDate) : new Date();
 
+    const match = { createdAt: { $gte: start, $lte: end } };
+
+    // Theater managers only see their own theaters
+    const theaters = req.user.getManagedTheaters();
+    if (theaters) {
+      match.showtime = { $in: await Showtime.findIdsForTheaters(theaters) };
+    }
+
     const statusReport = await Reservation.aggregate([
       {
-        $match: {
-          createdAt: { $gte: start, $lte: end }
-        }
+        $match: match
       },
       {
         $group: {
@@ -356,6 +370,57 @@ const getReservationStatusReport = async (req, res) => {
     const totalReservations = statusReport.reduce((sum, status) => sum + status.count, 0);
     const totalRevenue = statusReport.reduce((sum, status) => sum + status.totalAmount, 0);
 
+    // Attendance of settled reservations, seat by seat, so part-attended groups show up
+    const [attendance] = await Reservation.aggregate([
+      {
+        $match: {
+          ...match,
+          status: { $in: ['completed', 'no_show'] }
+        }
+      },
+      {
+        $project: {
+          checkInTime: 1,
+          seatsSold: { $size: '$seats' },
+          seatsScanned: {
+            $size: { $filter: { input: '$seats', cond: { $gt: ['$$this.checkedInAt', null] } } }
+          }
+        }
+      },
+      {
+        $project: {
+          seatsSold: 1,
+          // Reservations checked in before per-seat check-in count as fully attended
+          seatsCheckedIn: {
+            $cond: [
+              { $and: [{ $eq: ['$seatsScanned', 0] }, { $gt: ['$checkInTime', null] }] },
+              '$seatsSold',
+              '$seatsScanned'
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          reservations: { $sum: 1 },
+          seatsSold: { $sum: '$seatsSold' },
+          seatsCheckedIn: { $sum: '$seatsCheckedIn' },
+          fullyAttended: { $sum: { $cond: [{ $eq: ['$seatsCheckedIn', '$seatsSold'] }, 1, 0] } },
+          partiallyAttended: {
+            $sum: {
+              $cond: [
+                { $and: [{ $gt: ['$seatsCheckedIn', 0] }, { $lt: ['$seatsCheckedIn', '$seatsSold'] }] },
+                1,
+                0
+              ]
+            }
+          },
+          notAttended: { $sum: { $cond: [{ $eq: ['$seatsCheckedIn', 0] }, 1, 0] } }
+        }
+      }
+    ]);
+
     res.json({
       message: 'Reservation status report generated successfully',
       period: {
@@ -371,7 +436,18 @@ const getReservationStatusReport = async (req, res) => {
         count: status.count,
         percentage: Math.round((status.count / totalReservations) * 100),
         totalAmount: Math.round(status.totalAmount * 100) / 100
-      }))
+      })),
+      attendance: {
+        settledReservations: attendance ? attendance.reservations : 0,
+        fullyAttended: attendance ? attendance.fullyAttended : 0,
+        partiallyAttended: attendance ? attendance.partiallyAttended : 0,
+        notAttended: attendance ? attendance.notAttended : 0,
+        seatsSold: attendance ? attendance.seatsSold : 0,
+        seatsCheckedIn: attendance ? attendance.seatsCheckedIn : 0,
+        seatAttendanceRate: attendance && attendance.seatsSold > 0
+          ? Math.round((attendance.seatsCheckedIn / attendance.seatsSold) * 100)
+          : 0
+      }
     });
   } catch (error) {
     console.error('Get reservation status report error:', error);
@@ -382,6 +458,194 @@ const getReservationStatusReport = async (req, res) => {
   }
 };
 
+// Get promo code redemption report
+const getPromoCodeReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    
+    // Default to current month if no dates provided
+    const start = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+    const end = endDate ? new Date(endDate) : new Date();
+
+    const promoStats = await PromoRedemption.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: start, $lte: end }
+        }
+      },
+      {
+        $lookup: {
+          from: 'reservations',
+          localField: 'reservation',
+          foreignField: '_id',
+          as: 'reservationData'
+        }
+      },
+      {
+        $unwind: { path: '$reservationData', preserveNullAndEmptyArrays: true }
+      },
+      {
+        $group: {
+          _id: '$promoCode',
+          redemptions: { $sum: 1 },
+          uniqueUsers: { $addToSet: '$user' },
+          totalDiscount: { $sum: '$discountAmount' },
+          // Revenue only counts bookings that were kept (including no-shows)
+          netRevenue: {
+            $sum: {
+              $cond: [
+                { $in: ['$reservationData.status', Reservation.getRevenueStatuses()] },
+                '$reservationData.totalAmount',
+                0
+              ]
+            }
+          },
+          cancelledRedemptions: {
+            $sum: { $cond: [{ $eq: ['$reservationData.status', 'cancelled'] }, 1, 0] }
+          }
+        }
+      },
+      {
+        $lookup: {
+          from: 'promocodes',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'promoData'
+        }
+      },
+      {
+        $unwind: '$promoData'
+      },
+      {
+        $sort: { redemptions: -1 }
+      }
+    ]);
+
+    const totalRedemptions = promoStats.reduce((sum, promo) => sum + promo.redemptions, 0);
+    const totalDiscount = promoStats.reduce((sum, promo) => sum + promo.totalDiscount, 0);
+
+    res.json({
+      message: 'Promo code report generated successfully',
+      period: {
+        startDate: start,
+        endDate: end
+      },
+      summary: {
+        totalRedemptions,
+        totalDiscount: Math.round(totalDiscount * 100) / 100
+      },
+      promoCodes: promoStats.map(promo => ({
+        id: promo._id,
+        code: promo.promoData.code,
+        discountType: promo.promoData.discountType,
+        discountValue: promo.promoData.discountValue,
+        isActive: promo.promoData.isActive,
+        usedCount: promo.promoData.usedCount,
+        maxUses: promo.promoData.maxUses,
+        redemptions: promo.redemptions,
+        uniqueUsers: promo.uniqueUsers.length,
+        cancelledRedemptions: promo.cancelledRedemptions,
+        totalDiscount: Math.round(promo.totalDiscount * 100) / 100,
+        netRevenue: Math.round(promo.netRevenue * 100) / 100
+      }))
+    });
+  } catch (error) {
+    console.error('Get promo code report error:', error);
+    res.status(500).json({
+      error: 'Failed to generate promo code report',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get refund reconciliation report
+const getRefundReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    
+    // Default to current month if no dates provided
+    const start = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+    const end = endDate ? new Date(endDate) : new Date();
+
+    const [revenueStats, cancelledStats, refundQueue, ledgerTotals] = await Promise.all([
+      // Same figures as the revenue report
+      Reservation.getRevenueForDateRange(start, end),
+      // Money taken on bookings that were later cancelled (unpaid ones took nothing)
+      Reservation.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: start, $lte: end },
+            status: 'cancelled',
+            'paymentDetails.status': 'captured'
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            totalAmount: { $sum: '$totalAmount' },
+            refundsOwed: { $sum: { $ifNull: ['$refundAmount', 0] } },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      Refund.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: start, $lte: end }
+          }
+        },
+        {
+          $group: {
+            _id: '$status',
+            totalAmount: { $sum: '$amount' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      RefundTransaction.getTotalsForDateRange(start, end)
+    ]);
+
+    const revenue = revenueStats[0] ? revenueStats[0].totalRevenue : 0;
+    const cancelled = cancelledStats[0] || { totalAmount: 0, refundsOwed: 0, count: 0 };
+    const refundedInPeriod = ledgerTotals.reduce((sum, item) => sum + item.totalRefunded, 0);
+    const grossCollected = revenue + cancelled.totalAmount;
+    const round = value => Math.round(value * 100) / 100;
+
+    res.json({
+      message: 'Refund report generated successfully',
+      period: {
+        startDate: start,
+        endDate: end
+      },
+      reconciliation: {
+        revenue: round(revenue),
+        cancelledBookingsAmount: round(cancelled.totalAmount),
+        grossCollected: round(grossCollected),
+        refundsOwed: round(cancelled.refundsOwed),
+        cancellationFeesRetained: round(cancelled.totalAmount - cancelled.refundsOwed),
+        refundedInPeriod: round(refundedInPeriod),
+        netCollected: round(grossCollected - refundedInPeriod)
+      },
+      refundsByStatus: refundQueue.map(item => ({
+        status: item._id,
+        count: item.count,
+        totalAmount: round(item.totalAmount)
+      })),
+      refundedByMethod: ledgerTotals.map(item => ({
+        method: item._id,
+        refundCount: item.refundCount,
+        totalRefunded: round(item.totalRefunded)
+      }))
+    });
+  } catch (error) {
+    console.error('Get refund report error:', error);
+    res.status(500).json({
+      error: 'Failed to generate refund report',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Get dashboard analytics
 const getDashboardAnalytics = async (req, res) => {
   try {
@@ -394,7 +658,7 @@ const getDashboardAnalytics = async (req, res) => {
       {
         $match: {
           createdAt: { $gte: startOfMonth },
-          status: { $in: ['confirmed', 'completed'] }
+          status: { $in: Reservation.getRevenueStatuses() }
         }
       },
       {
@@ -412,7 +676,7 @@ const getDashboardAnalytics = async (req, res) => {
       {
         $match: {
           createdAt: { $gte: startOfWeek },
-          status: { $in: ['confirmed', 'completed'] }
+          status: { $in: Reservation.getRevenueStatuses() }
         }
       },
       {
@@ -479,5 +743,7 @@ module.exports = {
   getTheaterPerformanceReport,
   getUserDemographicsReport,
   getReservationStatusReport,
+  getPromoCodeReport,
+  getRefundReport,
   getDashboardAnalytics
 };
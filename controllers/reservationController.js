@@ -1,12 +1,104 @@
 const Reservation = require('../models/Reservation');
 const Showtime = require('../models/Showtime');
+const SeatHold = require('../models/SeatHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const PromoCode = require('../models/PromoCode');
+const Refund = require('../models/Refund');
+const ReservationEvent = require('../models/ReservationEvent');
 const User = require('../models/User');
+const { offerSeatsToWaitlist } = require('../jobs/waitlist');
+const { sendGiftClaim } = require('../jobs/gifts');
+const payments = require('../services/payments');
+const { renderTicket } = require('../utils/tickets');
 
-// Create new reservation
+// Offer released seats to the showtime's waitlist without failing the request
+const notifyWaitlist = (showtimeId) => {
+  offerSeatsToWaitlist(showtimeId).catch(error => {
+    console.error('Waitlist offer error:', error);
+  });
+};
+
+// Email a paid-for gift to its recipient without failing the request
+// (the send-gift-claims job retries gifts that didn't go out)
+const deliverGift = (reservationId) => {
+  sendGiftClaim(reservationId).catch(error => {
+    console.error('Gift claim email error:', error);
+  });
+};
+
+// Settle the price difference of a seat change or exchange before it is saved:
+// increases are charged now, decreases are recorded against the payments they go
+// back to. Returns { charge } or { refundParts }, or { error } if the charge failed.
+const settlePriceDifference = async (reservation, difference, { token, reason }) => {
+  if (difference > 0) {
+    const charge = await payments.chargePriceDifference(reservation, difference, { token });
+    if (!charge.success) {
+      return { error: charge.message };
+    }
+    reservation.recordPriceCharge(difference, charge.transactionId, reason);
+    return { charge: { transactionId: charge.transactionId, amount: difference } };
+  }
+
+  if (difference < 0) {
+    return { refundParts: reservation.recordPriceRefund(-difference, reason) };
+  }
+
+  return {};
+};
+
+// What calculateDiscount needs to work a booking's discount out again: the customer
+// (for age-based offers) and the promo code the booking used
+const loadDiscountContext = async (reservation) => {
+  const { discountApplied } = reservation;
+  const [user, promo] = await Promise.all([
+    reservation.user ? User.findById(reservation.user._id || reservation.user) : null,
+    discountApplied && discountApplied.promoCode ? PromoCode.findById(discountApplied.promoCode) : null
+  ]);
+  return { user, promo };
+};
+
+// Give a price difference charge back when the change it paid for couldn't be saved
+const reverseCharge = (reservation, charge) => payments.refundPayment({
+  method: reservation.paymentDetails.method,
+  originalTransactionId: charge.transactionId,
+  amount: charge.amount
+}).catch(error => {
+  console.error('Price difference reversal error:', error);
+});
+
+// History event data that shows what was paid
+const PRICING_EVENT_DATA = ['totalAmount', 'amount', 'priceDifference', 'transactionId'];
+
+// Gift recipients see the reservation without what the purchaser paid
+const presentReservation = (req, reservation) => (
+  reservation.isViewedByGiftRecipient(req.user)
+    ? reservation.toGiftRecipientJSON()
+    : reservation
+);
+
+// Signed-in users can reach their own reservations (admins any); guests reach the
+// one reservation requireGuestAccess matched by reservation number and email
+const canAccessReservation = (req, reservation) => {
+  if (req.guestReservation) {
+    return req.guestReservation._id.equals(reservation._id);
+  }
+  return req.user.role === 'admin' || reservation.isOwnedBy(req.user);
+};
+
+// Create new reservation (guests without an account are keyed by contactInfo)
 const createReservation = async (req, res) => {
   try {
-    const { showtime, seats, paymentDetails, contactInfo, specialRequests, isGift, giftMessage } = req.body;
-    const userId = req.user._id;
+    const { showtime, seats, holdToken, count, type, claimStudent, promoCode, paymentDetails, contactInfo, specialRequests, giftMessage, giftRecipient } = req.body;
+    const isGift = req.body.isGift === true;
+    const userId = req.user ? req.user._id : undefined;
+
+    // Holds and per-customer promo code limits are tracked by account
+    if (!req.user && (holdToken || promoCode)) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Please log in to use seat holds or promo codes'
+      });
+    }
 
     // Verify showtime exists and is active
     const showtimeDoc = await Showtime.findById(showtime);
@@ -25,84 +117,291 @@ const createReservation = async (req, res) => {
       });
     }
 
-    // Check if all requested seats are available
-    const requestedSeats = seats.map(seat => ({ row: seat.row, number: seat.number }));
-    const unavailableSeats = [];
-    
-    for (const seat of requestedSeats) {
-      const availableSeat = showtimeDoc.availableSeats.find(s => 
-        s.row === seat.row && s.number === seat.number && s.isAvailable
-      );
-      if (!availableSeat) {
-        unavailableSeats.push(`${seat.row}${seat.number}`);
+    let hold = null;
+    let requestedSeats;
+    const reservationSeats = [];
+    let totalAmount = 0;
+
+    if (holdToken) {
+      hold = await SeatHold.findOne({
+        token: holdToken,
+        user: userId,
+        showtime,
+        status: 'active',
+        expiresAt: { $gt: new Date() }
+      });
+
+      if (!hold) {
+        return res.status(400).json({
+          error: 'Invalid seat hold',
+          message: 'Seat hold not found or has expired'
+        });
+      }
+
+      requestedSeats = hold.seats.map(seat => ({ row: seat.row, number: seat.number }));
+
+      // Held seats keep the price they were held at
+      for (const seat of hold.seats) {
+        reservationSeats.push({
+          row: seat.row,
+          number: seat.number,
+          type: seat.type,
+          price: seat.price
+        });
+
+        totalAmount += seat.price;
+      }
+    } else {
+      if (count) {
+        // Auto-select the best available seats for the party
+        const [best] = showtimeDoc.findBestSeats(count, type, 1);
+        if (!best) {
+          return res.status(409).json({
+            error: 'Seats unavailable',
+            message: `Not enough ${type ? type + ' ' : ''}seats available for ${count} people`
+          });
+        }
+        requestedSeats = best.seats.map(seat => ({ row: seat.row, number: seat.number }));
+      } else {
+        requestedSeats = seats.map(seat => ({ row: seat.row, number: seat.number }));
+      }
+
+      // Check if all requested seats are available
+      const unavailableSeats = [];
+      
+      for (const seat of requestedSeats) {
+        const availableSeat = showtimeDoc.availableSeats.find(s => 
+          s.row === seat.row && s.number === seat.number && s.isAvailable
+        );
+        if (!availableSeat) {
+          unavailableSeats.push(`${seat.row}${seat.number}`);
+        }
+      }
+
+      if (unavailableSeats.length > 0) {
+        return res.status(400).json({
+          error: 'Seats unavailable',
+          message: `The following seats are not available: ${unavailableSeats.join(', ')}`
+        });
+      }
+
+      // Calculate total amount
+      for (const seat of requestedSeats) {
+        const availableSeat = showtimeDoc.availableSeats.find(s => 
+          s.row === seat.row && s.number === seat.number
+        );
+        
+        reservationSeats.push({
+          row: seat.row,
+          number: seat.number,
+          type: availableSeat.type,
+          price: availableSeat.price
+        });
+        
+        totalAmount += availableSeat.price;
       }
     }
 
-    if (unavailableSeats.length > 0) {
-      return res.status(400).json({
-        error: 'Seats unavailable',
-        message: `The following seats are not available: ${unavailableSeats.join(', ')}`
-      });
+    // Apply the best special offer the customer qualifies for
+    const subtotal = totalAmount;
+    let discountApplied;
+    const offer = showtimeDoc.findBestOffer(subtotal, {
+      user: req.user,
+      seatCount: reservationSeats.length,
+      claimStudent: claimStudent === true
+    });
+    if (offer && offer.amount > 0) {
+      discountApplied = {
+        type: offer.type,
+        amount: offer.amount,
+        description: offer.description
+      };
     }
 
-    // Calculate total amount
-    const reservationSeats = [];
-    let totalAmount = 0;
+    // Offers and promo codes don't stack; the customer gets whichever saves more
+    let promo = null;
+    if (promoCode) {
+      promo = await PromoCode.findByCode(promoCode);
+      if (!promo) {
+        return res.status(400).json({
+          error: 'Invalid promo code',
+          message: 'Promo code not found'
+        });
+      }
 
-    for (const seat of requestedSeats) {
-      const availableSeat = showtimeDoc.availableSeats.find(s => 
-        s.row === seat.row && s.number === seat.number
-      );
-      
-      reservationSeats.push({
-        row: seat.row,
-        number: seat.number,
-        type: availableSeat.type,
-        price: availableSeat.price
-      });
-      
-      totalAmount += availableSeat.price;
+      try {
+        promo.assertApplicable(showtimeDoc, subtotal);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid promo code',
+          message: error.message
+        });
+      }
+
+      const promoDiscount = promo.calculateDiscount(subtotal);
+      if (!discountApplied || promoDiscount > discountApplied.amount) {
+        discountApplied = {
+          type: 'promo_code',
+          amount: promoDiscount,
+          description: promo.description || `Promo code ${promo.code}`,
+          promoCode: promo._id
+        };
+      } else {
+        promo = null;
+      }
+    }
+
+    if (discountApplied) {
+      totalAmount = Math.round((subtotal - discountApplied.amount) * 100) / 100;
     }
 
     // Create reservation
     const reservation = new Reservation({
       user: userId,
+      channel: req.user ? 'online' : 'guest',
       showtime,
       seats: reservationSeats,
       totalAmount,
+      discountApplied,
+      // Transaction details come from the payment provider, never the client
       paymentDetails: {
-        ...paymentDetails,
+        method: paymentDetails.method,
+        currency: paymentDetails.currency,
         amount: totalAmount
       },
+      paymentExpiresAt: new Date(Date.now() + Reservation.getPaymentWindowMs()),
       contactInfo,
       specialRequests,
       isGift,
-      giftMessage
+      giftMessage,
+      gift: isGift
+        ? { purchaser: userId, recipientEmail: giftRecipient.email, recipientName: giftRecipient.name }
+        : undefined
     });
+    reservation.setActor(req.user || 'guest');
+    if (isGift) {
+      reservation.issueGiftClaim();
+    }
+
+    // Lock seats in showtime with a single conditional update so concurrent
+    // requests for the same seat can't both succeed
+    if (hold) {
+      // Claim the hold so it can't expire or be checked out twice
+      hold = await SeatHold.findOneAndUpdate(
+        { _id: hold._id, status: 'active', expiresAt: { $gt: new Date() } },
+        { status: 'converted' },
+        { new: true }
+      );
+
+      if (!hold) {
+        return res.status(400).json({
+          error: 'Invalid seat hold',
+          message: 'Seat hold not found or has expired'
+        });
+      }
+
+      await Showtime.markSeatsReserved(showtime, requestedSeats, userId);
+    } else {
+      const locked = await Showtime.lockSeats(showtime, requestedSeats, userId);
+      if (!locked) {
+        return res.status(409).json({
+          error: 'Seats unavailable',
+          message: 'One or more of the requested seats were just reserved by someone else'
+        });
+      }
+    }
+
+    // Roll back the seat lock so no seats are left reserved without a reservation
+    const releaseSeatLock = async () => {
+      if (hold) {
+        // Hand the hold back so the customer can retry before it expires
+        await Showtime.unmarkSeatsReserved(showtime, requestedSeats);
+        await SeatHold.updateOne({ _id: hold._id }, { status: 'active' });
+      } else {
+        await Showtime.unlockSeats(showtime, requestedSeats);
+      }
+    };
+
+    let redemption = null;
+    if (promo) {
+      try {
+        redemption = await PromoCode.redeem(promo, userId, {
+          reservation: reservation._id,
+          discountAmount: discountApplied.amount
+        });
+      } catch (error) {
+        await releaseSeatLock();
+        return res.status(400).json({
+          error: 'Invalid promo code',
+          message: error.message
+        });
+      }
+    }
 
-    // Reserve seats in showtime
     try {
-      showtimeDoc.reserveSeats(requestedSeats, userId);
-      await showtimeDoc.save();
-      
       await reservation.save();
-      
-      // Populate reservation for response
-      await reservation.populate('showtime', 'startTime endTime movie theater');
-      await reservation.populate('showtime.movie', 'title poster duration genre rating');
-      await reservation.populate('showtime.theater', 'name location');
-
-      res.status(201).json({
-        message: 'Reservation created successfully',
-        reservation
-      });
     } catch (error) {
       console.error('Seat reservation error:', error);
+
+      if (redemption) {
+        await PromoCode.releaseRedemption(redemption);
+      }
+      await releaseSeatLock();
+
       return res.status(400).json({
         error: 'Seat reservation failed',
         message: error.message || 'Failed to reserve seats'
       });
     }
+
+    // Take payment; the reservation is only confirmed once it's captured
+    const payment = await payments.chargeReservation(reservation, { token: paymentDetails.token });
+
+    if (!payment.success) {
+      reservation.failPayment(payment.message);
+      await reservation.save();
+
+      if (redemption) {
+        await PromoCode.releaseRedemption(redemption);
+      }
+      await releaseSeatLock();
+
+      return res.status(402).json({
+        error: 'Payment failed',
+        message: payment.message,
+        reservationNumber: reservation.reservationNumber
+      });
+    }
+
+    // Asynchronous payments are confirmed later by the payment webhook
+    if (!payment.pending) {
+      reservation.confirm();
+    }
+    await reservation.save();
+
+    if (hold) {
+      hold.reservation = reservation._id;
+      await hold.save();
+      await WaitlistEntry.updateOne({ hold: hold._id, status: 'offered' }, { status: 'claimed' });
+    }
+
+    if (reservation.isGift && reservation.status === 'confirmed') {
+      deliverGift(reservation._id);
+    }
+
+    // Populate reservation for response
+    await reservation.populate('showtime', 'startTime endTime movie theater');
+    await reservation.populate('showtime.movie', 'title poster duration genre rating');
+    await reservation.populate('showtime.theater', 'name location');
+
+    res.status(201).json({
+      message: payment.pending
+        ? 'Reservation created, awaiting payment confirmation'
+        : 'Reservation created successfully',
+      reservation,
+      // Clients count down to this; the reservation is cancelled if payment hasn't arrived by then
+      paymentExpiresAt: reservation.status === 'pending' ? reservation.paymentExpiresAt : undefined
+    });
   } catch (error) {
     console.error('Create reservation error:', error);
     res.status(500).json({
@@ -120,7 +419,8 @@ const getUserReservations = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const query = { user: userId };
+    // Includes gifts bought for others, even once the recipient has claimed them
+    const query = { $or: [{ user: userId }, { 'gift.purchaser': userId }] };
     
     // Filter by status
     if (req.query.status) {
@@ -143,7 +443,7 @@ const getUserReservations = async (req, res) => {
 
     res.json({
       message: 'Reservations retrieved successfully',
-      reservations,
+      reservations: reservations.map(reservation => presentReservation(req, reservation)),
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(total / limit),
@@ -182,17 +482,20 @@ const getReservationById = async (req, res) => {
       });
     }
 
-    // Check if user can access this reservation
-    if (req.user.role !== 'admin' && reservation.user._id.toString() !== req.user._id.toString()) {
+    // Check if user can access this reservation (gift purchasers can still view it)
+    if (!canAccessReservation(req, reservation) && !reservation.isPurchasedBy(req.user)) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You can only access your own reservations'
       });
     }
 
+    // So isCancellable reflects the showtime's refund policy
+    await reservation.loadRefundPolicy();
+
     res.json({
       message: 'Reservation retrieved successfully',
-      reservation
+      reservation: presentReservation(req, reservation)
     });
   } catch (error) {
     console.error('Get reservation by ID error:', error);
@@ -203,6 +506,110 @@ const getReservationById = async (req, res) => {
   }
 };
 
+// Get the history timeline of a reservation
+const getReservationHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await Reservation.findById(id)
+      .select('reservationNumber status user isGift gift');
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        message: 'The requested reservation does not exist'
+      });
+    }
+
+    // Check if user can access this reservation (gift purchasers can still view it)
+    if (!canAccessReservation(req, reservation) && !reservation.isPurchasedBy(req.user)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only access your own reservations'
+      });
+    }
+
+    const events = await ReservationEvent.find({ reservation: reservation._id })
+      .populate('actor', 'firstName lastName role')
+      .sort({ createdAt: 1, _id: 1 });
+
+    if (reservation.isViewedByGiftRecipient(req.user)) {
+      for (const event of events) {
+        if (!event.data) continue;
+        const data = { ...event.data };
+        PRICING_EVENT_DATA.forEach(field => delete data[field]);
+        event.data = data;
+      }
+    }
+
+    res.json({
+      message: 'Reservation history retrieved successfully',
+      reservation: {
+        id: reservation._id,
+        reservationNumber: reservation.reservationNumber,
+        status: reservation.status
+      },
+      events
+    });
+  } catch (error) {
+    console.error('Get reservation history error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve reservation history',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get the QR ticket of a confirmed reservation as a PNG or SVG image
+const getReservationTicket = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'png';
+
+    const reservation = await Reservation.findById(id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        message: 'The requested reservation does not exist'
+      });
+    }
+
+    // Check if user can access this reservation
+    if (!canAccessReservation(req, reservation)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only access your own reservations'
+      });
+    }
+
+    if (reservation.status !== 'confirmed') {
+      return res.status(400).json({
+        error: 'Ticket unavailable',
+        message: 'Tickets are only available for confirmed reservations'
+      });
+    }
+
+    // Reservations confirmed before tickets were signed get their code now
+    if (!reservation.qrCode) {
+      reservation.issueTicket();
+      await reservation.save();
+    }
+
+    const image = await renderTicket(reservation.qrCode, format);
+
+    res.set('Content-Disposition', `inline; filename="ticket-${reservation.reservationNumber}.${format}"`);
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.send(image);
+  } catch (error) {
+    console.error('Get reservation ticket error:', error);
+    res.status(500).json({
+      error: 'Failed to generate ticket',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Cancel reservation
 const cancelReservation = async (req, res) => {
   try {
@@ -220,31 +627,28 @@ const cancelReservation = async (req, res) => {
     }
 
     // Check if user can cancel this reservation
-    if (req.user.role !== 'admin' && reservation.user.toString() !== req.user._id.toString()) {
+    if (!canAccessReservation(req, reservation)) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You can only cancel your own reservations'
       });
     }
 
-    // Check if reservation can be cancelled
-    if (!reservation.isCancellable) {
-      return res.status(400).json({
-        error: 'Cannot cancel reservation',
-        message: 'This reservation cannot be cancelled'
+    // The recipient of a claimed gift didn't pay for it, so price changes stay with admins
+    if (reservation.giftStatus === 'claimed' && (!req.user || req.user.role !== 'admin')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'A claimed gift can only be cancelled by an admin'
       });
     }
 
-    // Cancel reservation
-    reservation.cancel(reason);
-    await reservation.save();
+    // Cancel under the showtime's refund policy and release the seats
+    // (optimistic concurrency makes a racing cancel fail here)
+    const { refund: evaluation } = await reservation.transitionTo('cancelled', { reason, actor: req.user || 'guest' });
+    notifyWaitlist(reservation.showtime._id);
 
-    // Release seats in showtime
-    const showtime = await Showtime.findById(reservation.showtime._id);
-    if (showtime) {
-      showtime.releaseSeats(reservation.seats);
-      await showtime.save();
-    }
+    // Queue the refund for an admin to process
+    const refunds = await Refund.queueForReservation(reservation);
 
     res.json({
       message: 'Reservation cancelled successfully',
@@ -254,10 +658,37 @@ const cancelReservation = async (req, res) => {
         refundAmount: reservation.refundAmount,
         cancellationReason: reservation.cancellationReason,
         cancelledAt: reservation.cancelledAt
-      }
+      },
+      refundPolicy: {
+        id: evaluation.policy.id,
+        name: evaluation.policy.name,
+        rule: evaluation.rule,
+        refundPercentage: evaluation.refundPercentage
+      },
+      refunds: refunds.map(refund => ({
+        id: refund._id,
+        amount: refund.amount,
+        method: refund.method,
+        status: refund.status
+      }))
     });
   } catch (error) {
     console.error('Cancel reservation error:', error);
+
+    if (error.name === 'StatusTransitionError') {
+      return res.status(400).json({
+        error: 'Cannot cancel reservation',
+        message: error.message
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Reservation changed',
+        message: 'This reservation was modified by another request, please try again'
+      });
+    }
+
     res.status(500).json({
       error: 'Failed to cancel reservation',
       message: error.message || 'Internal server error'
@@ -265,10 +696,11 @@ const cancelReservation = async (req, res) => {
   }
 };
 
-// Check-in for reservation
-const checkInReservation = async (req, res) => {
+// Change seats on an existing reservation
+const changeReservationSeats = async (req, res) => {
   try {
     const { id } = req.params;
+    const { seats } = req.body;
 
     const reservation = await Reservation.findById(id)
       .populate('showtime');
@@ -280,34 +712,320 @@ const checkInReservation = async (req, res) => {
       });
     }
 
-    if (reservation.status !== 'confirmed') {
+    // Check if user can change this reservation
+    if (req.user.role !== 'admin' && !reservation.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only change your own reservations'
+      });
+    }
+
+    // The recipient of a claimed gift didn't pay for it, so price changes stay with admins
+    if (reservation.giftStatus === 'claimed' && (!req.user || req.user.role !== 'admin')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'A claimed gift can only be changed by an admin'
+      });
+    }
+
+    if (!reservation.isEditable) {
       return res.status(400).json({
-        error: 'Invalid reservation status',
-        message: 'Only confirmed reservations can be checked in'
+        error: 'Cannot change reservation',
+        message: 'Seats can only be changed on confirmed reservations more than 24 hours before showtime'
       });
     }
 
-    // Check if showtime is starting soon (within 2 hours)
-    const now = new Date();
-    const showtimeStart = new Date(reservation.showtime.startTime);
-    const timeDiff = (showtimeStart - now) / (1000 * 60); // difference in minutes
+    const showtime = reservation.showtime;
+    const requestedSeats = seats.map(seat => ({ row: seat.row, number: seat.number }));
+
+    const discountContext = await loadDiscountContext(reservation);
 
-    if (timeDiff > 120) {
+    let changes;
+    try {
+      changes = reservation.setActor(req.user).changeSeats(requestedSeats, showtime, discountContext);
+    } catch (error) {
       return res.status(400).json({
-        error: 'Too early for check-in',
-        message: 'Check-in is only available 2 hours before showtime'
+        error: 'Invalid seats',
+        message: error.message
       });
     }
 
-    if (timeDiff < -30) {
+    if (changes.added.length === 0 && changes.removed.length === 0) {
       return res.status(400).json({
-        error: 'Too late for check-in',
-        message: 'Check-in is not available after showtime has started'
+        error: 'No changes',
+        message: 'The requested seats match the current reservation'
+      });
+    }
+
+    // Lock the new seats before giving up the old ones so the customer is never left without seats
+    if (changes.added.length > 0) {
+      const locked = await Showtime.lockSeats(showtime._id, changes.added, reservation.getSeatHolder());
+      if (!locked) {
+        return res.status(409).json({
+          error: 'Seats unavailable',
+          message: 'One or more of the requested seats are not available'
+        });
+      }
+    }
+
+    // Upgrades are paid for before the change is saved
+    const settlement = await settlePriceDifference(reservation, changes.difference, {
+      token: req.body.paymentDetails && req.body.paymentDetails.token,
+      reason: 'Seat change'
+    });
+    if (settlement.error) {
+      if (changes.added.length > 0) {
+        await Showtime.unlockSeats(showtime._id, changes.added);
+      }
+      return res.status(402).json({
+        error: 'Payment failed',
+        message: settlement.error
+      });
+    }
+
+    try {
+      await reservation.save();
+    } catch (error) {
+      if (changes.added.length > 0) {
+        await Showtime.unlockSeats(showtime._id, changes.added);
+      }
+      if (settlement.charge) {
+        await reverseCharge(reservation, settlement.charge);
+      }
+      throw error;
+    }
+
+    if (changes.removed.length > 0) {
+      await Showtime.unlockSeats(showtime._id, changes.removed);
+      notifyWaitlist(showtime._id);
+    }
+
+    // Downgrades are refunded to the payments they were taken from
+    const refunds = settlement.refundParts
+      ? await Refund.queuePriceAdjustment(reservation, settlement.refundParts, 'Seat change')
+      : [];
+
+    res.json({
+      message: 'Reservation seats updated successfully',
+      reservation: {
+        id: reservation._id,
+        seats: reservation.seats,
+        discountApplied: reservation.discountApplied,
+        totalAmount: reservation.totalAmount,
+        amountPaid: reservation.amountPaid,
+        priceDifference: changes.difference,
+        priceAdjustments: reservation.priceAdjustments
+      },
+      refunds: refunds.map(refund => ({
+        id: refund._id,
+        amount: refund.amount,
+        method: refund.method,
+        status: refund.status
+      }))
+    });
+  } catch (error) {
+    console.error('Change reservation seats error:', error);
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Reservation changed',
+        message: 'This reservation was modified by another request, please try again'
       });
     }
 
-    // Check in
-    reservation.checkIn();
+    res.status(500).json({
+      error: 'Failed to change reservation seats',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+// Exchange a reservation to another showtime of the same movie
+const exchangeReservation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { showtime: newShowtimeId, seats } = req.body;
+
+    const reservation = await Reservation.findById(id)
+      .populate('showtime');
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        message: 'The requested reservation does not exist'
+      });
+    }
+
+    // Check if user can exchange this reservation
+    if (req.user.role !== 'admin' && !reservation.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only exchange your own reservations'
+      });
+    }
+
+    // The recipient of a claimed gift didn't pay for it, so price changes stay with admins
+    if (reservation.giftStatus === 'claimed' && (!req.user || req.user.role !== 'admin')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'A claimed gift can only be exchanged by an admin'
+      });
+    }
+
+    if (!reservation.isEditable) {
+      return res.status(400).json({
+        error: 'Cannot exchange reservation',
+        message: 'Only confirmed reservations more than 24 hours before showtime can be exchanged'
+      });
+    }
+
+    const previousShowtime = reservation.showtime;
+    if (previousShowtime._id.toString() === newShowtimeId) {
+      return res.status(400).json({
+        error: 'Same showtime',
+        message: 'Use the seat change endpoint to change seats within the same showtime'
+      });
+    }
+
+    const newShowtime = await Showtime.findById(newShowtimeId);
+    if (!newShowtime || !newShowtime.isActive) {
+      return res.status(400).json({
+        error: 'Invalid showtime',
+        message: 'Showtime not found or inactive'
+      });
+    }
+
+    if (newShowtime.movie.toString() !== previousShowtime.movie.toString()) {
+      return res.status(400).json({
+        error: 'Invalid showtime',
+        message: 'Reservations can only be exchanged to a showtime of the same movie'
+      });
+    }
+
+    if (!Reservation.isBeforeEditCutoff(newShowtime.startTime)) {
+      return res.status(400).json({
+        error: 'Showtime unavailable',
+        message: 'Reservations can only be exchanged to showtimes more than 24 hours away'
+      });
+    }
+
+    // Keep the same seats on the new showtime unless the customer picked new ones
+    const requestedSeats = (seats || reservation.seats).map(seat => ({ row: seat.row, number: seat.number }));
+
+    const discountContext = await loadDiscountContext(reservation);
+
+    let changes;
+    try {
+      changes = reservation.setActor(req.user).exchangeTo(newShowtime, requestedSeats, discountContext);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid seats',
+        message: seats ? error.message : `${error.message} on the new showtime, please select seats`
+      });
+    }
+
+    const locked = await Showtime.lockSeats(newShowtime._id, requestedSeats, reservation.getSeatHolder());
+    if (!locked) {
+      return res.status(409).json({
+        error: 'Seats unavailable',
+        message: seats
+          ? 'One or more of the requested seats are not available'
+          : 'Your current seats are not available on the new showtime, please select seats'
+      });
+    }
+
+    // A more expensive showtime is paid for before the exchange is saved
+    const settlement = await settlePriceDifference(reservation, changes.difference, {
+      token: req.body.paymentDetails && req.body.paymentDetails.token,
+      reason: 'Showtime exchange'
+    });
+    if (settlement.error) {
+      await Showtime.unlockSeats(newShowtime._id, requestedSeats);
+      return res.status(402).json({
+        error: 'Payment failed',
+        message: settlement.error
+      });
+    }
+
+    try {
+      await reservation.save();
+    } catch (error) {
+      await Showtime.unlockSeats(newShowtime._id, requestedSeats);
+      if (settlement.charge) {
+        await reverseCharge(reservation, settlement.charge);
+      }
+      throw error;
+    }
+
+    // Release seats on the old showtime
+    await Showtime.unlockSeats(previousShowtime._id, changes.released);
+    notifyWaitlist(previousShowtime._id);
+
+    // A cheaper showtime is refunded to the payments the difference was taken from
+    const refunds = settlement.refundParts
+      ? await Refund.queuePriceAdjustment(reservation, settlement.refundParts, 'Showtime exchange')
+      : [];
+
+    res.json({
+      message: 'Reservation exchanged successfully',
+      reservation: {
+        id: reservation._id,
+        reservationNumber: reservation.reservationNumber,
+        showtime: reservation.showtime,
+        seats: reservation.seats,
+        discountApplied: reservation.discountApplied,
+        totalAmount: reservation.totalAmount,
+        amountPaid: reservation.amountPaid,
+        priceDifference: changes.difference,
+        exchangeHistory: reservation.exchangeHistory
+      },
+      refunds: refunds.map(refund => ({
+        id: refund._id,
+        amount: refund.amount,
+        method: refund.method,
+        status: refund.status
+      }))
+    });
+  } catch (error) {
+    console.error('Exchange reservation error:', error);
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Reservation changed',
+        message: 'This reservation was modified by another request, please try again'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to exchange reservation',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+// Check-in for reservation
+const checkInReservation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await Reservation.findById(id)
+      .populate('showtime');
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        message: 'The requested reservation does not exist'
+      });
+    }
+
+    // Check status and the check-in window around the showtime
+    const checkInError = reservation.getCheckInError();
+    if (checkInError) {
+      return res.status(400).json(checkInError);
+    }
+
+    // Check in the requested seats, or every seat not yet checked in
+    const checkedIn = reservation.setActor(req.user).checkIn(req.body.seats, req.user._id);
     await reservation.save();
 
     res.json({
@@ -315,11 +1033,29 @@ const checkInReservation = async (req, res) => {
       reservation: {
         id: reservation._id,
         checkInTime: reservation.checkInTime,
-        seats: reservation.formattedSeats
+        seats: reservation.formattedSeats,
+        checkedInSeats: checkedIn.map(seat => `${seat.row}${seat.number}`).join(', '),
+        checkedInSeatCount: reservation.checkedInSeatCount,
+        attendance: reservation.attendance
       }
     });
   } catch (error) {
     console.error('Check-in reservation error:', error);
+
+    if (error.name === 'CheckInError') {
+      return res.status(400).json({
+        error: 'Check-in failed',
+        message: error.message
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Reservation changed',
+        message: 'This reservation was modified by another request, please try again'
+      });
+    }
+
     res.status(500).json({
       error: 'Failed to check in',
       message: 'Internal server error'
@@ -327,7 +1063,7 @@ const checkInReservation = async (req, res) => {
   }
 };
 
-// Admin: Get all reservations
+// Admin/Manager: Get all reservations
 const getAllReservations = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -352,6 +1088,12 @@ const getAllReservations = async (req, res) => {
       }
     }
 
+    // Theater managers only see reservations at their own theaters
+    const theaters = req.user.getManagedTheaters();
+    if (theaters) {
+      query.showtime = { $in: await Showtime.findIdsForTheaters(theaters) };
+    }
+
     const reservations = await Reservation.find(query)
       .populate('user', 'firstName lastName email phone')
       .populate({
@@ -386,11 +1128,11 @@ const getAllReservations = async (req, res) => {
   }
 };
 
-// Admin: Update reservation status
+// Admin/Manager: Update reservation status
 const updateReservationStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed', 'no_show'];
     if (!validStatuses.includes(status)) {
@@ -400,7 +1142,8 @@ const updateReservationStatus = async (req, res) => {
       });
     }
 
-    const reservation = await Reservation.findById(id);
+    const reservation = await Reservation.findById(id)
+      .populate('showtime');
     if (!reservation) {
       return res.status(404).json({
         error: 'Reservation not found',
@@ -408,33 +1151,53 @@ const updateReservationStatus = async (req, res) => {
       });
     }
 
-    // Use appropriate method based on status
-    switch (status) {
-      case 'confirmed':
-        reservation.confirm();
-        break;
-      case 'completed':
-        reservation.complete();
-        break;
-      case 'no_show':
-        reservation.markAsNoShow();
-        break;
-      default:
-        reservation.status = status;
-    }
+    // Admins may cancel outside the refund policy's cancellation window;
+    // every other guard still applies
+    const { from, refund: evaluation } = await reservation.transitionTo(status, {
+      reason: reason || 'Cancelled by admin',
+      override: true,
+      actor: req.user
+    });
 
-    await reservation.save();
+    let refunds;
+    if (status === 'cancelled') {
+      notifyWaitlist(reservation.showtime._id);
+      refunds = await Refund.queueForReservation(reservation);
+    }
 
     res.json({
       message: 'Reservation status updated successfully',
       reservation: {
         id: reservation._id,
+        previousStatus: from,
         status: reservation.status,
+        refundAmount: evaluation ? reservation.refundAmount : undefined,
         updatedAt: reservation.updatedAt
-      }
+      },
+      refunds: refunds && refunds.map(refund => ({
+        id: refund._id,
+        amount: refund.amount,
+        method: refund.method,
+        status: refund.status
+      }))
     });
   } catch (error) {
     console.error('Update reservation status error:', error);
+
+    if (error.name === 'StatusTransitionError') {
+      return res.status(400).json({
+        error: 'Invalid status change',
+        message: error.message
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Reservation changed',
+        message: 'This reservation was modified by another request, please try again'
+      });
+    }
+
     res.status(500).json({
       error: 'Failed to update reservation status',
       message: error.message || 'Internal server error'
@@ -442,11 +1205,219 @@ const updateReservationStatus = async (req, res) => {
   }
 };
 
+// Send an unclaimed gift to a different recipient (the earlier claim code stops working)
+const reassignGift = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { recipientEmail, recipientName, giftMessage } = req.body;
+
+    const reservation = await Reservation.findById(id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        message: 'The requested reservation does not exist'
+      });
+    }
+
+    // Check if user can reassign this gift
+    if (!canAccessReservation(req, reservation)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only reassign gifts you bought'
+      });
+    }
+
+    reservation.setActor(req.user || 'guest').reassignGift({ recipientEmail, recipientName, giftMessage });
+    await reservation.save();
+
+    if (reservation.status === 'confirmed') {
+      deliverGift(reservation._id);
+    }
+
+    res.json({
+      message: reservation.status === 'confirmed'
+        ? 'Gift sent to the new recipient'
+        : 'Gift will be sent to the new recipient once payment is confirmed',
+      reservation: {
+        id: reservation._id,
+        reservationNumber: reservation.reservationNumber,
+        giftStatus: reservation.giftStatus,
+        giftMessage: reservation.giftMessage,
+        recipientEmail: reservation.gift.recipientEmail,
+        recipientName: reservation.gift.recipientName
+      }
+    });
+  } catch (error) {
+    console.error('Reassign gift error:', error);
+
+    if (error.name === 'GiftError') {
+      return res.status(400).json({
+        error: 'Cannot reassign gift',
+        message: error.message
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Reservation changed',
+        message: 'This reservation was modified by another request, please try again'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to reassign gift',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+// Find the gift a claim code belongs to, populated for the recipient's view
+const findGiftForClaim = (code) => Reservation.findByGiftClaimCode(code)
+  .populate({
+    path: 'showtime',
+    populate: [
+      { path: 'movie', select: 'title poster duration genre rating' },
+      { path: 'theater', select: 'name location' }
+    ]
+  })
+  .populate('gift.purchaser', 'firstName lastName');
+
+// Show a gift to its recipient before they claim it (no pricing)
+const previewGift = async (req, res) => {
+  try {
+    const reservation = await findGiftForClaim(req.body.code);
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Gift not found',
+        message: 'This gift code is invalid, has been claimed or was sent to someone else'
+      });
+    }
+
+    const { purchaser } = reservation.gift;
+
+    // Until it's claimed the reservation still carries the purchaser's details
+    const view = reservation.toGiftRecipientJSON();
+    delete view.user;
+    delete view.contactInfo;
+
+    res.json({
+      message: 'Gift retrieved successfully',
+      gift: {
+        from: purchaser ? `${purchaser.firstName} ${purchaser.lastName}` : undefined,
+        giftMessage: reservation.giftMessage,
+        recipientName: reservation.gift.recipientName,
+        claimable: reservation.status === 'confirmed',
+        reservation: view
+      }
+    });
+  } catch (error) {
+    console.error('Preview gift error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve gift',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Claim a gift into the signed-in account, or for guest access by the recipient's
+// email (guests give a phone number for the reservation's contact details)
+const claimGift = async (req, res) => {
+  try {
+    const { code, phone } = req.body;
+
+    if (!req.user && !phone) {
+      return res.status(400).json({
+        error: 'Phone required',
+        message: 'Please provide a phone number or log in to claim this gift'
+      });
+    }
+
+    const reservation = await findGiftForClaim(code);
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Gift not found',
+        message: 'This gift code is invalid, has been claimed or was sent to someone else'
+      });
+    }
+
+    reservation.setActor(req.user || 'guest').claimGift(req.user, { phone });
+    await reservation.save();
+
+    res.json({
+      message: req.user
+        ? 'Gift added to your account'
+        : `Gift claimed; use reservation number ${reservation.reservationNumber} and ${reservation.contactInfo.email} to view it`,
+      reservation: reservation.toGiftRecipientJSON()
+    });
+  } catch (error) {
+    console.error('Claim gift error:', error);
+
+    if (error.name === 'GiftError') {
+      return res.status(400).json({
+        error: 'Cannot claim gift',
+        message: error.message
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Reservation changed',
+        message: 'This gift was changed by another request, please try again'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to claim gift',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+// Move reservations booked as a guest under the user's email into their account.
+// Emails aren't verified, so the user proves the bookings are theirs with one
+// of the reservation numbers sent to that email.
+const claimGuestReservations = async (req, res) => {
+  try {
+    const reservation = await Reservation.findGuestReservation(req.body.reservationNumber, req.user.email);
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        message: 'No guest reservation with that number was made with your email'
+      });
+    }
+
+    const claimed = await Reservation.claimGuestReservations(req.user);
+
+    res.json({
+      message: 'Guest reservations added to your account',
+      claimed
+    });
+  } catch (error) {
+    console.error('Claim guest reservations error:', error);
+    res.status(500).json({
+      error: 'Failed to claim reservations',
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   createReservation,
+  claimGuestReservations,
+  reassignGift,
+  previewGift,
+  claimGift,
   getUserReservations,
   getReservationById,
+  getReservationHistory,
+  getReservationTicket,
   cancelReservation,
+  changeReservationSeats,
+  exchangeReservation,
   checkInReservation,
   getAllReservations,
   updateReservationStatus
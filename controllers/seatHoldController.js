@@ -0,0 +1,170 @@
+const SeatHold = require('../models/SeatHold');
+const Showtime = require('../models/Showtime');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { releaseExpiredHolds } = require('../jobs/seatHolds');
+const { offerSeatsToWaitlist } = require('../jobs/waitlist');
+
+// Hold seats for a showtime during checkout
+const createSeatHold = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { seats } = req.body;
+    const userId = req.user._id;
+
+    // Free any lapsed holds on this showtime before checking availability
+    await releaseExpiredHolds({ showtime: id });
+
+    const showtime = await Showtime.findById(id);
+    if (!showtime || !showtime.isActive) {
+      return res.status(400).json({
+        error: 'Invalid showtime',
+        message: 'Showtime not found or inactive'
+      });
+    }
+
+    if (showtime.startTime <= new Date()) {
+      return res.status(400).json({
+        error: 'Showtime unavailable',
+        message: 'Cannot hold seats for past or ongoing showtimes'
+      });
+    }
+
+    const requestedSeats = seats.map(seat => ({ row: seat.row, number: seat.number }));
+    const heldSeats = [];
+
+    for (const seat of requestedSeats) {
+      const availableSeat = showtime.availableSeats.find(s =>
+        s.row === seat.row && s.number === seat.number
+      );
+      if (!availableSeat) {
+        return res.status(400).json({
+          error: 'Seats unavailable',
+          message: `Seat ${seat.row}${seat.number} does not exist`
+        });
+      }
+
+      heldSeats.push({
+        row: availableSeat.row,
+        number: availableSeat.number,
+        type: availableSeat.type,
+        price: availableSeat.price
+      });
+    }
+
+    const locked = await Showtime.lockSeats(showtime._id, requestedSeats);
+    if (!locked) {
+      return res.status(409).json({
+        error: 'Seats unavailable',
+        message: 'One or more of the requested seats are no longer available'
+      });
+    }
+
+    const hold = new SeatHold({
+      showtime: showtime._id,
+      user: userId,
+      seats: heldSeats,
+      expiresAt: new Date(Date.now() + SeatHold.getTtlMs())
+    });
+
+    try {
+      await hold.save();
+    } catch (error) {
+      await Showtime.unlockSeats(showtime._id, requestedSeats);
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Seats held successfully',
+      hold: {
+        token: hold.token,
+        showtime: hold.showtime,
+        seats: hold.seats,
+        totalAmount: hold.totalAmount,
+        expiresAt: hold.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Create seat hold error:', error);
+    res.status(500).json({
+      error: 'Failed to hold seats',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+// Get an active seat hold
+const getSeatHold = async (req, res) => {
+  try {
+    const { id, token } = req.params;
+
+    const hold = await SeatHold.findOne({ token, showtime: id, user: req.user._id });
+    if (!hold) {
+      return res.status(404).json({
+        error: 'Hold not found',
+        message: 'The requested seat hold does not exist'
+      });
+    }
+
+    res.json({
+      message: 'Seat hold retrieved successfully',
+      hold: {
+        token: hold.token,
+        showtime: hold.showtime,
+        seats: hold.seats,
+        totalAmount: hold.totalAmount,
+        status: hold.status === 'active' && hold.isExpired ? 'expired' : hold.status,
+        expiresAt: hold.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get seat hold error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve seat hold',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Release a seat hold before it expires
+const releaseSeatHold = async (req, res) => {
+  try {
+    const { id, token } = req.params;
+
+    const hold = await SeatHold.findOneAndUpdate(
+      { token, showtime: id, user: req.user._id, status: 'active' },
+      { status: 'released' },
+      { new: true }
+    );
+
+    if (!hold) {
+      return res.status(404).json({
+        error: 'Hold not found',
+        message: 'No active seat hold found for this token'
+      });
+    }
+
+    await hold.releaseSeats();
+
+    // Releasing a waitlist offer declines it and passes the seats on
+    const declined = await WaitlistEntry.updateOne({ hold: hold._id, status: 'offered' }, { status: 'cancelled' });
+    if (declined.modifiedCount > 0) {
+      await offerSeatsToWaitlist(hold.showtime);
+    }
+
+    res.json({
+      message: 'Seat hold released successfully'
+    });
+  } catch (error) {
+    console.error('Release seat hold error:', error);
+    res.status(500).json({
+      error: 'Failed to release seat hold',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createSeatHold,
+  getSeatHold,
+  releaseSeatHold
+};
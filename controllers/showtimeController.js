@@ -111,7 +111,7 @@ const getShowtimeById = async (req, res) => {
 // Create new showtime (Admin only)
 const createShowtime = async (req, res) => {
   try {
-    const { movie, theater, startTime, endTime, basePrice, language, format } = req.body;
+    const { movie, theater, startTime, endTime, basePrice, language, format, specialOffers } = req.body;
 
     // Verify movie exists
     const movieDoc = await Movie.findById(movie);
@@ -164,7 +164,8 @@ const createShowtime = async (req, res) => {
       basePrice,
       availableSeats,
       language: language || movieDoc.language,
-      format
+      format,
+      specialOffers
     });
 
     await showtime.save();
@@ -302,6 +303,73 @@ const deleteShowtime = async (req, res) => {
   }
 };
 
+// Staff: Get the booking manifest of a showtime (who is booked where and who has arrived)
+const getShowtimeReservations = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const showtime = await Showtime.findById(id)
+      .populate('movie', 'title duration rating')
+      .populate('theater', 'name');
+
+    if (!showtime) {
+      return res.status(404).json({
+        error: 'Showtime not found',
+        message: 'The requested showtime does not exist'
+      });
+    }
+
+    const Reservation = require('../models/Reservation');
+    const reservations = await Reservation.find({
+      showtime: id,
+      status: { $in: ['pending', 'confirmed', 'completed', 'no_show'] }
+    })
+      .populate('user', 'firstName lastName')
+      .sort({ createdAt: 1 });
+
+    const seatsSold = reservations.reduce((total, reservation) => total + reservation.seatCount, 0);
+    const seatsCheckedIn = reservations.reduce((total, reservation) => total + reservation.checkedInSeatCount, 0);
+
+    res.json({
+      message: 'Showtime reservations retrieved successfully',
+      showtime: {
+        id: showtime._id,
+        movie: showtime.movie,
+        theater: showtime.theater,
+        startTime: showtime.startTime,
+        endTime: showtime.endTime,
+        totalCapacity: showtime.totalCapacity,
+        availableCount: showtime.availableSeatsCount
+      },
+      summary: {
+        reservations: reservations.length,
+        seatsSold,
+        seatsCheckedIn
+      },
+      reservations: reservations.map(reservation => ({
+        id: reservation._id,
+        reservationNumber: reservation.reservationNumber,
+        status: reservation.status,
+        customer: reservation.user ? `${reservation.user.firstName} ${reservation.user.lastName}` : undefined,
+        seats: reservation.seats.map(seat => ({
+          row: seat.row,
+          number: seat.number,
+          type: seat.type,
+          checkedInAt: seat.checkedInAt
+        })),
+        attendance: reservation.attendance,
+        specialRequests: reservation.specialRequests
+      }))
+    });
+  } catch (error) {
+    console.error('Get showtime reservations error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve showtime reservations',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Get showtimes by movie
 const getShowtimesByMovie = async (req, res) => {
   try {
@@ -414,6 +482,57 @@ const getAvailableSeats = async (req, res) => {
   }
 };
 
+// Get best available seats for a party
+const getBestSeats = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const count = parseInt(req.query.count);
+    const { type } = req.query;
+
+    const showtime = await Showtime.findById(id);
+
+    if (!showtime || !showtime.isActive) {
+      return res.status(404).json({
+        error: 'Showtime not found',
+        message: 'The requested showtime does not exist'
+      });
+    }
+
+    if (showtime.startTime < new Date()) {
+      return res.status(400).json({
+        error: 'Showtime has started',
+        message: 'Cannot select seats for a showtime that has already started'
+      });
+    }
+
+    const options = showtime.findBestSeats(count, type);
+
+    if (options.length === 0) {
+      return res.status(404).json({
+        error: 'Seats unavailable',
+        message: `Not enough ${type ? type + ' ' : ''}seats available for ${count} people`
+      });
+    }
+
+    res.json({
+      message: 'Best seats retrieved successfully',
+      showtime: {
+        id: showtime._id,
+        startTime: showtime.startTime,
+        availableCount: showtime.availableSeatsCount
+      },
+      best: options[0],
+      alternatives: options.slice(1)
+    });
+  } catch (error) {
+    console.error('Get best seats error:', error);
+    res.status(500).json({
+      error: 'Failed to find best seats',
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   getAllShowtimes,
   getShowtimeById,
@@ -421,5 +540,7 @@ module.exports = {
   updateShowtime,
   deleteShowtime,
   getShowtimesByMovie,
-  getAvailableSeats
+  getAvailableSeats,
+  getBestSeats,
+  getShowtimeReservations
 };
@@ -0,0 +1,194 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const SeatHold = require('../models/SeatHold');
+const Showtime = require('../models/Showtime');
+const { offerSeatsToWaitlist } = require('../jobs/waitlist');
+
+// Shape a waitlist entry for the response
+const formatEntry = async (entry) => {
+  const formatted = {
+    id: entry._id,
+    showtime: entry.showtime,
+    seatCount: entry.seatCount,
+    seatType: entry.seatType,
+    status: entry.status,
+    position: await entry.getPosition(),
+    joinedAt: entry.createdAt
+  };
+
+  if (entry.status === 'offered' && entry.hold) {
+    const hold = await SeatHold.findById(entry.hold);
+    if (hold) {
+      formatted.offer = {
+        holdToken: hold.token,
+        seats: hold.seats,
+        totalAmount: hold.totalAmount,
+        expiresAt: hold.expiresAt
+      };
+    }
+  }
+
+  return formatted;
+};
+
+// Join the waitlist for a sold-out showtime
+const joinWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { seatCount, seatType = 'regular' } = req.body;
+    const userId = req.user._id;
+
+    const showtime = await Showtime.findById(id);
+    if (!showtime || !showtime.isActive) {
+      return res.status(400).json({
+        error: 'Invalid showtime',
+        message: 'Showtime not found or inactive'
+      });
+    }
+
+    if (showtime.startTime <= new Date()) {
+      return res.status(400).json({
+        error: 'Showtime unavailable',
+        message: 'Cannot join the waitlist for past or ongoing showtimes'
+      });
+    }
+
+    const availableOfType = showtime.availableSeats.filter(seat => seat.isAvailable && seat.type === seatType).length;
+    if (availableOfType >= seatCount) {
+      return res.status(400).json({
+        error: 'Seats available',
+        message: 'Enough seats are still available for this showtime, please book directly'
+      });
+    }
+
+    const existingEntry = await WaitlistEntry.findOne({
+      showtime: id,
+      user: userId,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existingEntry) {
+      return res.status(400).json({
+        error: 'Already on waitlist',
+        message: 'You are already on the waitlist for this showtime'
+      });
+    }
+
+    const entry = new WaitlistEntry({
+      showtime: id,
+      user: userId,
+      seatCount,
+      seatType
+    });
+
+    await entry.save();
+
+    res.status(201).json({
+      message: 'Joined waitlist successfully',
+      entry: await formatEntry(entry)
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Already on waitlist',
+        message: 'You are already on the waitlist for this showtime'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to join waitlist',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+// Get waitlist status (own entry for users, full queue for admins)
+const getWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role === 'admin') {
+      const entries = await WaitlistEntry.find({
+        showtime: id,
+        status: { $in: ['waiting', 'offered'] }
+      })
+        .populate('user', 'firstName lastName email phone')
+        .sort({ createdAt: 1 });
+
+      return res.json({
+        message: 'Waitlist retrieved successfully',
+        entries,
+        totalWaiting: entries.filter(entry => entry.status === 'waiting').length
+      });
+    }
+
+    const entry = await WaitlistEntry.findOne({ showtime: id, user: req.user._id })
+      .sort({ createdAt: -1 });
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not on waitlist',
+        message: 'You are not on the waitlist for this showtime'
+      });
+    }
+
+    res.json({
+      message: 'Waitlist entry retrieved successfully',
+      entry: await formatEntry(entry)
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve waitlist',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Leave the waitlist (declines any pending offer)
+const leaveWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { showtime: id, user: req.user._id, status: { $in: ['waiting', 'offered'] } },
+      { status: 'cancelled' }
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not on waitlist',
+        message: 'You are not on the waitlist for this showtime'
+      });
+    }
+
+    // Give declined seats to the next person in line
+    if (entry.status === 'offered' && entry.hold) {
+      const hold = await SeatHold.findOneAndUpdate(
+        { _id: entry.hold, status: 'active' },
+        { status: 'released' },
+        { new: true }
+      );
+      if (hold) {
+        await hold.releaseSeats();
+        await offerSeatsToWaitlist(id);
+      }
+    }
+
+    res.json({
+      message: 'Left waitlist successfully'
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      error: 'Failed to leave waitlist',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getWaitlist,
+  leaveWaitlist
+};
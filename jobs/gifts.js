@@ -0,0 +1,92 @@
+const Reservation = require('../models/Reservation');
+const ReservationEvent = require('../models/ReservationEvent');
+const { sendNotification } = require('../services/notifications');
+const { renderGiftClaim } = require('../services/notifications/templates');
+
+/**
+ * Email a gift's claim code to its recipient. gift.sentAt is claimed before
+ * sending so a gift goes out once per claim code, and cleared if sending fails
+ * so the next sweep retries it.
+ * @param {string} reservationId - Reservation ID
+ * @returns {Promise<boolean>} True if the gift was sent
+ */
+const sendGiftClaim = async (reservationId) => {
+  const reservation = await Reservation.findById(reservationId)
+    .select('+gift.claimCode')
+    .populate('gift.purchaser', 'firstName lastName')
+    .populate({
+      path: 'showtime',
+      populate: [
+        { path: 'movie', select: 'title' },
+        { path: 'theater', select: 'name' }
+      ]
+    });
+
+  if (!reservation || !reservation.isGift || reservation.status !== 'confirmed' ||
+      reservation.gift.claimedAt || !reservation.gift.claimCode) {
+    return false;
+  }
+
+  const { claimCode, recipientEmail } = reservation.gift;
+
+  // Matching the claim code means a reassignment in between isn't marked as sent
+  const claimed = await Reservation.updateOne(
+    { _id: reservation._id, status: 'confirmed', 'gift.claimCode': claimCode, 'gift.sentAt': null },
+    { 'gift.sentAt': new Date() }
+  );
+  if (claimed.modifiedCount !== 1) {
+    return false;
+  }
+
+  let result;
+  try {
+    result = await sendNotification({
+      channel: 'email',
+      to: recipientEmail,
+      ...renderGiftClaim(reservation, claimCode)
+    });
+  } catch (error) {
+    await Reservation.updateOne(
+      { _id: reservation._id, 'gift.claimCode': claimCode },
+      { $unset: { 'gift.sentAt': 1 } }
+    );
+    throw error;
+  }
+
+  await ReservationEvent.record(reservation._id, 'gift_sent', {
+    data: { to: recipientEmail, messageId: result && result.messageId }
+  });
+  return true;
+};
+
+/**
+ * Send the claim emails for paid-for gifts that haven't gone out yet, such as
+ * gifts confirmed by a payment webhook or whose first send failed
+ * @returns {Promise<number>} Number of gifts sent
+ */
+const sendPendingGiftClaims = async () => {
+  const reservationIds = await Reservation.find({
+    isGift: true,
+    status: 'confirmed',
+    'gift.claimedAt': null,
+    'gift.sentAt': null
+  }).distinct('_id');
+
+  let sent = 0;
+  for (const reservationId of reservationIds) {
+    try {
+      if (await sendGiftClaim(reservationId)) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(`Gift claim email for reservation ${reservationId} error:`, error);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendGiftClaim,
+  sendPendingGiftClaims
+};
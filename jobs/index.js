@@ -0,0 +1,64 @@
+const { releaseExpiredHolds } = require('./seatHolds');
+const { settleEndedShowtimes, expireUnpaidReservations } = require('./reservationLifecycle');
+const { sendShowtimeReminders } = require('./reminders');
+const { sendPendingGiftClaims } = require('./gifts');
+
+// Background jobs and how often they run
+const jobs = [
+  {
+    name: 'release-expired-holds',
+    run: releaseExpiredHolds,
+    intervalMs: parseInt(process.env.HOLD_SWEEP_INTERVAL_MS) || 60 * 1000
+  },
+  {
+    name: 'settle-ended-showtimes',
+    run: settleEndedShowtimes,
+    intervalMs: parseInt(process.env.SHOWTIME_SETTLE_INTERVAL_MS) || 5 * 60 * 1000
+  },
+  {
+    name: 'expire-unpaid-reservations',
+    run: expireUnpaidReservations,
+    intervalMs: parseInt(process.env.PAYMENT_EXPIRY_SWEEP_INTERVAL_MS) || 60 * 1000
+  },
+  {
+    name: 'send-showtime-reminders',
+    run: sendShowtimeReminders,
+    intervalMs: parseInt(process.env.REMINDER_SWEEP_INTERVAL_MS) || 5 * 60 * 1000
+  },
+  {
+    name: 'send-gift-claims',
+    run: sendPendingGiftClaims,
+    intervalMs: parseInt(process.env.GIFT_SWEEP_INTERVAL_MS) || 60 * 1000
+  }
+];
+
+/**
+ * Start all background jobs on their intervals
+ * @returns {Function} Function that stops all jobs
+ */
+const startJobs = () => {
+  const timers = jobs.map(job => {
+    let running = false;
+
+    const tick = async () => {
+      // Skip a tick if the previous run is still going
+      if (running) return;
+      running = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Job ${job.name} error:`, error);
+      } finally {
+        running = false;
+      }
+    };
+
+    return setInterval(tick, job.intervalMs);
+  });
+
+  return () => timers.forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,119 @@
+const Reservation = require('../models/Reservation');
+const Showtime = require('../models/Showtime');
+const ReservationEvent = require('../models/ReservationEvent');
+const { sendNotification } = require('../services/notifications');
+const { renderShowtimeReminder } = require('../services/notifications/templates');
+
+// Reminders go out this many hours before the showtime starts
+const REMINDER_HOURS_BEFORE = parseInt(process.env.REMINDER_HOURS_BEFORE) || 24;
+
+const CHANNELS = ['email', 'sms'];
+
+// Where a reminder on this channel is sent
+const recipientFor = (reservation, channel) => (
+  channel === 'email' ? reservation.contactInfo.email : reservation.contactInfo.phone
+);
+
+/**
+ * Check whether the reservation's user wants notifications on a channel
+ * @param {Object} reservation - Reservation with user populated
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {boolean} True if the user has the channel turned on
+ */
+const wantsChannel = (reservation, channel) => {
+  // Customers without an account only gave us their email for this booking
+  if (!reservation.user) {
+    return channel === 'email';
+  }
+
+  const notifications = reservation.user && reservation.user.preferences &&
+    reservation.user.preferences.notifications;
+  return Boolean(notifications && notifications[channel]);
+};
+
+/**
+ * Send one reminder. The remindersSent flag is claimed before sending so two
+ * runs can't both send it, and put back if sending fails so it is retried.
+ * @param {Object} reservation - Reservation with user, showtime, movie and theater populated
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {Promise<boolean>} True if the reminder was sent
+ */
+const sendReminder = async (reservation, channel) => {
+  const flag = `remindersSent.${channel}`;
+
+  const claimed = await Reservation.updateOne(
+    { _id: reservation._id, status: 'confirmed', [flag]: false },
+    { [flag]: true }
+  );
+  if (claimed.modifiedCount !== 1) {
+    return false;
+  }
+
+  const to = recipientFor(reservation, channel);
+
+  let result;
+  try {
+    result = await sendNotification({ channel, to, ...renderShowtimeReminder(reservation, channel) });
+  } catch (error) {
+    await Reservation.updateOne({ _id: reservation._id }, { [flag]: false });
+    throw error;
+  }
+
+  await ReservationEvent.record(reservation._id, 'reminder_sent', {
+    data: { channel, to, messageId: result && result.messageId }
+  });
+  return true;
+};
+
+/**
+ * Send email and SMS reminders for confirmed reservations whose showtime starts
+ * within REMINDER_HOURS_BEFORE hours, following each user's notification preferences
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendShowtimeReminders = async (now = new Date()) => {
+  const until = new Date(now.getTime() + REMINDER_HOURS_BEFORE * 60 * 60 * 1000);
+  let sent = 0;
+
+  const showtimeIds = await Showtime.find({ startTime: { $gt: now, $lte: until } }).distinct('_id');
+  if (showtimeIds.length === 0) {
+    return 0;
+  }
+
+  const reservations = await Reservation.find({
+    showtime: { $in: showtimeIds },
+    status: 'confirmed',
+    $or: CHANNELS.map(channel => ({ [`remindersSent.${channel}`]: false }))
+  })
+    .populate('user', 'preferences')
+    .populate({
+      path: 'showtime',
+      populate: [
+        { path: 'movie', select: 'title' },
+        { path: 'theater', select: 'name' }
+      ]
+    });
+
+  for (const reservation of reservations) {
+    for (const channel of CHANNELS) {
+      if (reservation.remindersSent[channel] || !wantsChannel(reservation, channel) ||
+          !recipientFor(reservation, channel)) {
+        continue;
+      }
+
+      try {
+        if (await sendReminder(reservation, channel)) {
+          sent++;
+        }
+      } catch (error) {
+        console.error(`Reminder (${channel}) for reservation ${reservation.reservationNumber} error:`, error);
+      }
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendShowtimeReminders
+};
@@ -0,0 +1,118 @@
+const Reservation = require('../models/Reservation');
+const Showtime = require('../models/Showtime');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { sendNotification } = require('../services/notifications');
+const { renderPaymentExpired } = require('../services/notifications/templates');
+const { offerSeatsToWaitlist } = require('./waitlist');
+
+/**
+ * Cancel a reservation that was never paid for, releasing its seats and promo code use
+ * @param {Object} reservation - Pending reservation document
+ * @param {string} reason - Cancellation reason
+ */
+const expirePendingReservation = async (reservation, reason) => {
+  await reservation.transitionTo('cancelled', { reason, actor: 'system' });
+
+  const redemption = await PromoRedemption.findOne({ reservation: reservation._id });
+  if (redemption) {
+    await PromoCode.releaseRedemption(redemption);
+  }
+};
+
+/**
+ * Settle reservations for showtimes that have ended: reservations with at least one
+ * seat checked in are completed, other confirmed ones become no-shows and unpaid
+ * pending ones are cancelled.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Counts of completed (and how many of those only partly
+ * attended), no-show and expired reservations
+ */
+const settleEndedShowtimes = async (now = new Date()) => {
+  const counts = { completed: 0, partiallyAttended: 0, noShow: 0, expired: 0 };
+
+  const showtimeIds = await Reservation.distinct('showtime', { status: { $in: ['pending', 'confirmed'] } });
+  const showtimes = await Showtime.find({ _id: { $in: showtimeIds }, endTime: { $lte: now } });
+
+  for (const showtime of showtimes) {
+    const reservations = await Reservation.find({
+      showtime: showtime._id,
+      status: { $in: ['pending', 'confirmed'] }
+    });
+
+    for (const reservation of reservations) {
+      // The showtime is already loaded, so transitionTo doesn't fetch it again
+      reservation.showtime = showtime;
+
+      try {
+        if (reservation.status === 'pending') {
+          await expirePendingReservation(reservation, 'Expired: showtime has passed without payment');
+          counts.expired++;
+        } else if (reservation.attendance !== 'none') {
+          await reservation.transitionTo('completed', { actor: 'system' });
+          counts.completed++;
+          if (reservation.attendance === 'partial') {
+            counts.partiallyAttended++;
+          }
+        } else {
+          await reservation.transitionTo('no_show', { actor: 'system' });
+          counts.noShow++;
+        }
+      } catch (error) {
+        // Left as it is for the next run (e.g. it was changed by a request meanwhile)
+        console.error(`Settle reservation ${reservation.reservationNumber} error:`, error);
+      }
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Cancel pending reservations whose payment window has passed, release their
+ * seats to the waitlist and let the customer know.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of reservations expired
+ */
+const expireUnpaidReservations = async (now = new Date()) => {
+  const showtimes = new Set();
+  let expired = 0;
+
+  const reservations = await Reservation.find({
+    status: 'pending',
+    paymentExpiresAt: { $lte: now }
+  }).populate('showtime');
+
+  for (const reservation of reservations) {
+    try {
+      // A payment confirmed meanwhile makes this fail on the version check
+      await expirePendingReservation(reservation, 'Expired: payment was not completed in time');
+    } catch (error) {
+      console.error(`Expire reservation ${reservation.reservationNumber} error:`, error);
+      continue;
+    }
+
+    sendNotification({
+      channel: 'email',
+      to: reservation.contactInfo.email,
+      ...renderPaymentExpired(reservation)
+    }).catch(error => {
+      console.error(`Payment expiry notice for reservation ${reservation.reservationNumber} error:`, error);
+    });
+
+    showtimes.add(reservation.showtime._id.toString());
+    expired++;
+  }
+
+  for (const showtimeId of showtimes) {
+    await offerSeatsToWaitlist(showtimeId);
+  }
+
+  return expired;
+};
+
+module.exports = {
+  expirePendingReservation,
+  expireUnpaidReservations,
+  settleEndedShowtimes
+};
@@ -0,0 +1,43 @@
+const SeatHold = require('../models/SeatHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { offerSeatsToWaitlist } = require('./waitlist');
+
+/**
+ * Expire seat holds whose TTL has passed and free their seats.
+ * Freed seats are then offered to anyone on the showtime's waitlist.
+ * @param {Object} filter - Extra conditions (e.g. { showtime: id })
+ * @returns {Promise<number>} Number of holds expired
+ */
+const releaseExpiredHolds = async (filter = {}) => {
+  const now = new Date();
+  const showtimes = new Set();
+  let released = 0;
+
+  // Claim holds one at a time so a concurrent checkout can't convert a hold we are expiring
+  for (;;) {
+    const hold = await SeatHold.findOneAndUpdate(
+      { ...filter, status: 'active', expiresAt: { $lte: now } },
+      { status: 'expired' },
+      { new: true }
+    );
+    if (!hold) break;
+
+    await hold.releaseSeats();
+
+    // An unclaimed waitlist offer lapses with its hold
+    await WaitlistEntry.updateOne({ hold: hold._id, status: 'offered' }, { status: 'expired' });
+
+    showtimes.add(hold.showtime.toString());
+    released++;
+  }
+
+  for (const showtimeId of showtimes) {
+    await offerSeatsToWaitlist(showtimeId);
+  }
+
+  return released;
+};
+
+module.exports = {
+  releaseExpiredHolds
+};
@@ -0,0 +1,98 @@
+const Showtime = require('../models/Showtime');
+const SeatHold = require('../models/SeatHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { sendNotification } = require('../services/notifications');
+const { renderWaitlistOffer } = require('../services/notifications/templates');
+
+/**
+ * Offer available seats to waitlisted users of a showtime, oldest request first.
+ * Each offer is a seat hold that lasts for the claim window; the user checks out
+ * with the hold token, and when the hold expires the seats move to the next person.
+ * @param {string} showtimeId - Showtime to process
+ * @returns {Promise<number>} Number of offers made
+ */
+const offerSeatsToWaitlist = async (showtimeId) => {
+  const showtime = await Showtime.findById(showtimeId)
+    .populate('movie', 'title')
+    .populate('theater', 'name');
+  if (!showtime || !showtime.isActive || showtime.startTime <= new Date()) {
+    return 0;
+  }
+
+  const entries = await WaitlistEntry.find({ showtime: showtimeId, status: 'waiting' })
+    .populate('user', 'firstName email')
+    .sort({ createdAt: 1 });
+
+  let offered = 0;
+
+  for (const entry of entries) {
+    // The account was deleted after joining the waitlist
+    if (!entry.user) continue;
+
+    const [best] = showtime.findBestSeats(entry.seatCount, entry.seatType, 1);
+
+    // Not enough seats of this type for this request, try the next person
+    if (!best) continue;
+    const seats = best.seats;
+
+    const locked = await Showtime.lockSeats(showtime._id, seats);
+    if (!locked) {
+      // Someone else took the seats; the next release will run the waitlist again
+      break;
+    }
+
+    const hold = new SeatHold({
+      showtime: showtime._id,
+      user: entry.user._id,
+      seats,
+      expiresAt: new Date(Date.now() + WaitlistEntry.getClaimWindowMs())
+    });
+
+    try {
+      await hold.save();
+    } catch (error) {
+      await Showtime.unlockSeats(showtime._id, seats);
+      throw error;
+    }
+
+    // Only offer if the user is still waiting (they may have left meanwhile)
+    const updated = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        status: 'offered',
+        hold: hold._id,
+        offeredAt: new Date(),
+        offerExpiresAt: hold.expiresAt
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      hold.status = 'released';
+      await hold.save();
+      await hold.releaseSeats();
+      continue;
+    }
+
+    // Mark the offered seats as taken locally so the next person gets different ones
+    for (const seat of seats) {
+      showtime.availableSeats.find(s => s.row === seat.row && s.number === seat.number).isAvailable = false;
+    }
+    offered++;
+
+    // A failed email doesn't withdraw the offer; the hold is still in the user's waitlist status
+    sendNotification({
+      channel: 'email',
+      to: entry.user.email,
+      ...renderWaitlistOffer(showtime, hold, entry.user)
+    }).catch(error => {
+      console.error(`Waitlist offer notice for showtime ${showtime._id} error:`, error);
+    });
+  }
+
+  return offered;
+};
+
+module.exports = {
+  offerSeatsToWaitlist
+};
@@ -79,6 +79,85 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware factory to allow admins and the given staff roles
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Please log in first'
+      });
+    }
+
+    if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Staff privileges required'
+      });
+    }
+
+    next();
+  };
+};
+
+// Middleware for front-of-house work: ticket check-in and showtime manifests
+const requireStaff = requireRole('usher', 'box_office', 'theater_manager');
+
+// Middleware for selling tickets at the counter
+const requireBoxOffice = requireRole('box_office', 'theater_manager');
+
+// Middleware for theater operations; pair with requireTheaterAccess to limit
+// managers to their own theaters
+const requireManager = requireRole('theater_manager');
+
+// Middleware factory to limit theater managers to the theaters they manage.
+// Other roles pass through (admins manage every theater; ushers and box office
+// staff aren't assigned to theaters). resolveTheater(req) returns the theater
+// the request acts on, or nothing when the target doesn't exist (the controller
+// then responds 404).
+const requireTheaterAccess = (resolveTheater) => {
+  return async (req, res, next) => {
+    try {
+      if (req.user.role !== 'theater_manager') {
+        return next();
+      }
+
+      const theaterId = await resolveTheater(req);
+      if (theaterId && !req.user.managesTheater(theaterId)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only manage the theaters you are assigned to'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Theater access check error:', error);
+      return res.status(500).json({
+        error: 'Authorization failed',
+        message: 'Internal server error'
+      });
+    }
+  };
+};
+
+// Theater resolvers for requireTheaterAccess
+const theaterFromBody = (field = 'theater') => (req) => req.body[field];
+
+const theaterOfShowtime = (paramName = 'id') => async (req) => {
+  const Showtime = require('../models/Showtime');
+  const showtime = await Showtime.findById(req.params[paramName]).select('theater');
+  return showtime && showtime.theater;
+};
+
+const theaterOfReservation = (paramName = 'id') => async (req) => {
+  const Reservation = require('../models/Reservation');
+  const reservation = await Reservation.findById(req.params[paramName])
+    .select('showtime')
+    .populate('showtime', 'theater');
+  return reservation && reservation.showtime && reservation.showtime.theater;
+};
+
 // Middleware to check if user owns the resource or is admin
 const requireOwnershipOrAdmin = (resourceIdParam = 'id') => {
   return async (req, res, next) => {
@@ -143,7 +222,9 @@ const requireReservationAccess = async (req, res, next) => {
         });
       }
 
-      if (reservation.user.toString() !== req.user._id.toString()) {
+      // Gift purchasers can still look at a gift once the recipient has claimed it
+      const viewingPurchasedGift = req.method === 'GET' && reservation.isPurchasedBy(req.user);
+      if (!reservation.isOwnedBy(req.user) && !viewingPurchasedGift) {
         return res.status(403).json({
           error: 'Access denied',
           message: 'You can only access your own reservations'
@@ -161,6 +242,34 @@ const requireReservationAccess = async (req, res, next) => {
   }
 };
 
+// Middleware to let a guest reach a reservation made without an account.
+// The reservation number and contact email must both match, and the same 404
+// is returned for either mismatch so neither can be probed on its own.
+const requireGuestAccess = async (req, res, next) => {
+  try {
+    const Reservation = require('../models/Reservation');
+    const { reservationNumber, email } = req.body;
+    const reservation = await Reservation.findGuestReservation(reservationNumber, email);
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        message: 'No guest reservation matches that reservation number and email'
+      });
+    }
+
+    req.params.id = reservation._id.toString();
+    req.guestReservation = reservation;
+    next();
+  } catch (error) {
+    console.error('Guest reservation access check error:', error);
+    return res.status(500).json({
+      error: 'Authorization failed',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -183,10 +292,30 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Authentication for routes guests can use too: a request without a token is a guest,
+// but a token that fails verification (e.g. expired mid-checkout) is rejected rather
+// than quietly turning a signed-in customer into a guest
+const authenticateIfPresent = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
+};
+
 module.exports = {
   authenticateToken,
+  authenticateIfPresent,
   requireAdmin,
+  requireRole,
+  requireStaff,
+  requireBoxOffice,
+  requireManager,
+  requireTheaterAccess,
+  theaterFromBody,
+  theaterOfShowtime,
+  theaterOfReservation,
   requireOwnershipOrAdmin,
   requireReservationAccess,
+  requireGuestAccess,
   optionalAuth
 };
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// A request still "processing" after this long is assumed to have died with the server
+const IDEMPOTENCY_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(req.body || {}))
+  .digest('hex');
+
+// Try to take over a key whose request never finished
+const claimStaleKey = (record) => IdempotencyKey.findOneAndUpdate(
+  {
+    _id: record._id,
+    status: 'processing',
+    updatedAt: { $lt: new Date(Date.now() - IDEMPOTENCY_LOCK_SECONDS * 1000) }
+  },
+  { updatedAt: new Date() },
+  { new: true, timestamps: false }
+);
+
+// Middleware to make a request safe to retry with an Idempotency-Key header.
+// The first response is stored and replayed for retries with the same key;
+// a retry that arrives while the first request is still running gets a 409.
+// Must run after authenticateToken or optionalAuth; guest keys share one
+// namespace, and the request hash stops a guest replaying another's response.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      error: 'Invalid idempotency key',
+      message: 'Idempotency key cannot exceed 255 characters'
+    });
+  }
+
+  try {
+    const scope = `${req.method} ${req.originalUrl.split('?')[0]}`;
+    const requestHash = hashRequest(req);
+    const user = req.user ? req.user._id : null;
+    let record;
+
+    try {
+      record = await IdempotencyKey.create({ key, user, scope, requestHash });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ key, user });
+      if (!existing) {
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'Please retry this request'
+        });
+      }
+
+      if (existing.scope !== scope || existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          message: 'This idempotency key was already used for a different request'
+        });
+      }
+
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      record = await claimStaleKey(existing);
+      if (!record) {
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this idempotency key is already being processed'
+        });
+      }
+    }
+
+    let stored = false;
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      stored = true;
+
+      // Server errors aren't stored, so the client can retry with the same key
+      const saving = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          // Stored as serialized, so replays match the original response exactly
+          { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) }
+        );
+
+      saving
+        .catch(error => console.error('Idempotency key save error:', error))
+        .then(() => originalJson(body));
+
+      return res;
+    };
+
+    // Release the key if the response wasn't JSON (nothing to replay). A client
+    // disconnecting doesn't release it; the handler is still running.
+    res.on('finish', () => {
+      if (!stored) {
+        IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+          .catch(error => console.error('Idempotency key release error:', error));
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({
+      error: 'Request failed',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  idempotent
+};
@@ -56,6 +56,12 @@ const validateUserRegistration = [
       return true;
     }),
   
+  body('guestReservationNumber')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9]{6,30}$/)
+    .withMessage('Please provide a valid reservation number'),
+  
   handleValidationErrors
 ];
 
@@ -234,15 +240,56 @@ const validateShowtime = [
   handleValidationErrors
 ];
 
+// Gift recipient name and message rules shared by bookings and reassignments
+const giftRecipientRules = (nameField = 'giftRecipient.name') => [
+  body(nameField)
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Recipient name must be between 1 and 100 characters'),
+  
+  body('giftMessage')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Gift message cannot exceed 200 characters')
+];
+
 // Reservation validation rules
 const validateReservation = [
   body('showtime')
     .isMongoId()
     .withMessage('Please provide a valid showtime ID'),
   
+  body('holdToken')
+    .optional()
+    .isHexadecimal()
+    .isLength({ min: 48, max: 48 })
+    .withMessage('Please provide a valid hold token'),
+  
+  body('count')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Seat count must be between 1 and 10'),
+  
+  body('type')
+    .optional()
+    .isIn(['regular', 'premium', 'vip'])
+    .withMessage('Seat type must be one of: regular, premium, vip'),
+  
   body('seats')
+    .if(body('holdToken').not().exists())
+    .if(body('count').not().exists())
     .isArray({ min: 1, max: 10 })
-    .withMessage('You must select between 1 and 10 seats'),
+    .withMessage('You must select between 1 and 10 seats')
+    .bail()
+    .custom((seats) => {
+      const keys = seats.map(seat => `${seat.row}${seat.number}`);
+      if (new Set(keys).size !== keys.length) {
+        throw new Error('The same seat cannot be selected more than once');
+      }
+      return true;
+    }),
   
   body('seats.*.row')
     .matches(/^[A-Z]$/)
@@ -252,14 +299,31 @@ const validateReservation = [
     .isInt({ min: 1, max: 50 })
     .withMessage('Seat number must be between 1 and 50'),
   
+  body('promoCode')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Please provide a valid promo code'),
+  
+  body('claimStudent')
+    .optional()
+    .isBoolean()
+    .withMessage('claimStudent must be true or false')
+    .toBoolean(),
+  
+  // Cash is only taken at the box office (see validateWalkInSale)
   body('paymentDetails.method')
-    .isIn(['credit_card', 'debit_card', 'paypal', 'cash', 'gift_card'])
+    .not().equals('cash')
+    .withMessage('Cash is only accepted at the box office')
+    .bail()
+    .isIn(['credit_card', 'debit_card', 'paypal', 'gift_card'])
     .withMessage('Invalid payment method'),
   
-  body('paymentDetails.transactionId')
+  body('paymentDetails.token')
     .optional()
-    .isLength({ min: 1 })
-    .withMessage('Transaction ID is required for non-cash payments'),
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Payment token must be between 1 and 200 characters'),
   
   body('contactInfo.email')
     .isEmail()
@@ -270,6 +334,491 @@ const validateReservation = [
     .matches(/^\+?[\d\s\-\(\)]+$/)
     .withMessage('Please provide a valid contact phone number'),
   
+  body('isGift')
+    .optional()
+    .isBoolean()
+    .withMessage('isGift must be true or false')
+    .toBoolean(),
+  
+  body('giftRecipient.email')
+    .if((value, { req }) => req.body.isGift === true)
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide the gift recipient\'s email'),
+  
+  ...giftRecipientRules(),
+  handleValidationErrors
+];
+
+// Seat selection rules shared by holds, seat changes and exchanges
+const seatSelectionRules = ({ optional = false } = {}) => [
+  (optional ? body('seats').optional() : body('seats'))
+    .isArray({ min: 1, max: 10 })
+    .withMessage('You must select between 1 and 10 seats')
+    .bail()
+    .custom((seats) => {
+      const keys = seats.map(seat => `${seat.row}${seat.number}`);
+      if (new Set(keys).size !== keys.length) {
+        throw new Error('The same seat cannot be selected more than once');
+      }
+      return true;
+    }),
+  
+  body('seats.*.row')
+    .matches(/^[A-Z]$/)
+    .withMessage('Seat row must be a single uppercase letter'),
+  
+  body('seats.*.number')
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Seat number must be between 1 and 50')
+];
+
+// Seat hold validation rules
+const validateSeatHold = [
+  ...seatSelectionRules(),
+  handleValidationErrors
+];
+
+// Seat change validation rules
+const validateSeatChange = [
+  ...seatSelectionRules(),
+  
+  // Pays for the price difference when the new seats cost more
+  body('paymentDetails.token')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Payment token must be between 1 and 200 characters'),
+  handleValidationErrors
+];
+
+// Showtime exchange validation rules (seats default to the current ones)
+const validateExchange = [
+  body('showtime')
+    .isMongoId()
+    .withMessage('Please provide a valid showtime ID'),
+  
+  ...seatSelectionRules({ optional: true }),
+  
+  // Pays for the price difference when the new showtime costs more
+  body('paymentDetails.token')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Payment token must be between 1 and 200 characters'),
+  handleValidationErrors
+];
+
+// Waitlist validation rules
+const validateWaitlistJoin = [
+  body('seatCount')
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Seat count must be between 1 and 10'),
+  
+  body('seatType')
+    .optional()
+    .isIn(['regular', 'premium', 'vip'])
+    .withMessage('Seat type must be one of: regular, premium, vip'),
+  
+  handleValidationErrors
+];
+
+// Best seat query validation
+const validateBestSeatsQuery = [
+  query('count')
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Count must be between 1 and 10'),
+  
+  query('type')
+    .optional()
+    .isIn(['regular', 'premium', 'vip'])
+    .withMessage('Type must be one of: regular, premium, vip'),
+  
+  handleValidationErrors
+];
+
+// Promo code validation rules
+const validatePromoCode = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Promo code must be 3-30 letters, numbers, dashes or underscores'),
+  
+  body('discountType')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be either percentage or fixed'),
+  
+  body('discountValue')
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number')
+    .custom((value, { req }) => {
+      if (req.body.discountType === 'percentage' && value > 100) {
+        throw new Error('Percentage discount cannot exceed 100%');
+      }
+      return true;
+    }),
+  
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Please provide a valid start date'),
+  
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Please provide a valid end date'),
+  
+  body('maxUses')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max uses must be a positive integer'),
+  
+  body('maxUsesPerUser')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max uses per user must be a positive integer'),
+  
+  body('minimumSpend')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum spend must be a positive number'),
+  
+  body('restrictions.movies.*')
+    .isMongoId()
+    .withMessage('Please provide valid movie IDs'),
+  
+  body('restrictions.theaters.*')
+    .isMongoId()
+    .withMessage('Please provide valid theater IDs'),
+  
+  body('restrictions.formats.*')
+    .isIn(['2D', '3D', 'IMAX', 'Dolby Atmos'])
+    .withMessage('Format must be one of: 2D, 3D, IMAX, Dolby Atmos'),
+  
+  handleValidationErrors
+];
+
+// Refund policy validation rules
+const validateRefundPolicy = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Policy name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('cancellationCutoffHours')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cancellation cut-off must be a positive number of hours'),
+  
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean'),
+  
+  body('rules')
+    .isArray()
+    .withMessage('Rules must be an array'),
+  
+  body('rules.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rule name must be between 1 and 100 characters'),
+  
+  body('rules.*.refundPercentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Refund percentage must be between 0 and 100'),
+  
+  body('rules.*.minHoursBeforeShowtime')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Hours before showtime must be a positive number'),
+  
+  body('rules.*.allowCancellation')
+    .optional()
+    .isBoolean()
+    .withMessage('allowCancellation must be a boolean'),
+  
+  body('rules.*.formats.*')
+    .isIn(['2D', '3D', 'IMAX', 'Dolby Atmos'])
+    .withMessage('Format must be one of: 2D, 3D, IMAX, Dolby Atmos'),
+  
+  body('rules.*.discountTypes.*')
+    .isIn(['early_bird', 'student', 'senior', 'group', 'promo_code'])
+    .withMessage('Discount type must be one of: early_bird, student, senior, group, promo_code'),
+  
+  body('rules.*.promoCodes.*')
+    .isMongoId()
+    .withMessage('Please provide valid promo code IDs'),
+  
+  handleValidationErrors
+];
+
+// Refund list validation rules
+const validateRefundQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'processing', 'processed', 'rejected'])
+    .withMessage('Status must be one of: pending, approved, processing, processed, rejected'),
+  
+  query('method')
+    .optional()
+    .isIn(['credit_card', 'debit_card', 'paypal', 'cash', 'gift_card'])
+    .withMessage('Invalid payment method'),
+  
+  handleValidationErrors
+];
+
+// Refund rejection validation rules
+const validateRefundRejection = [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Rejection reason must be between 1 and 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Refund processing validation rules
+const validateRefundProcessing = [
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Refund reference must be between 1 and 100 characters'),
+  
+  handleValidationErrors
+];
+
+// Payment event list validation rules
+const validatePaymentEventQuery = [
+  query('status')
+    .optional()
+    .isIn(['received', 'processed', 'ignored', 'failed'])
+    .withMessage('Status must be one of: received, processed, ignored, failed'),
+  
+  query('reservation')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid reservation ID'),
+  
+  handleValidationErrors
+];
+
+// Theater assignment validation rules (an empty list removes every assignment)
+const validateTheaterAssignment = [
+  body('theaters')
+    .isArray({ max: 50 })
+    .withMessage('Theaters must be a list of theater IDs'),
+  
+  body('theaters.*')
+    .isMongoId()
+    .withMessage('Please provide valid theater IDs'),
+  
+  handleValidationErrors
+];
+
+// Ticket image format validation rules
+const validateTicketFormat = [
+  query('format')
+    .optional()
+    .isIn(['png', 'svg'])
+    .withMessage('Format must be one of: png, svg'),
+  
+  handleValidationErrors
+];
+
+// Ticket scan validation rules
+const validateTicketScan = [
+  body('code')
+    .isString()
+    .withMessage('Ticket code is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Ticket code must be between 1 and 2000 characters'),
+  
+  ...seatSelectionRules({ optional: true }),
+  handleValidationErrors
+];
+
+// Check-in validation rules (seats default to every seat not yet checked in)
+const validateCheckIn = [
+  ...seatSelectionRules({ optional: true }),
+  handleValidationErrors
+];
+
+// Guest reservation lookup validation rules
+const validateGuestLookup = [
+  body('reservationNumber')
+    .trim()
+    .matches(/^[A-Za-z0-9]{6,30}$/)
+    .withMessage('Please provide a valid reservation number'),
+  
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide the email used for the reservation'),
+  
+  handleValidationErrors
+];
+
+// Guest reservation claim validation rules
+const validateReservationClaim = [
+  body('reservationNumber')
+    .trim()
+    .matches(/^[A-Za-z0-9]{6,30}$/)
+    .withMessage('Please provide a valid reservation number'),
+  
+  handleValidationErrors
+];
+
+// Gift reassignment validation rules
+const validateGiftReassignment = [
+  body('recipientEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide the new recipient\'s email'),
+  
+  ...giftRecipientRules('recipientName'),
+  handleValidationErrors
+];
+
+// Gift claim code rule shared by the gift preview and claim
+const giftCodeRule = () => body('code')
+  .trim()
+  .isHexadecimal()
+  .withMessage('Please provide a valid gift code')
+  .bail()
+  .isLength({ min: 48, max: 48 })
+  .withMessage('Please provide a valid gift code');
+
+// Gift preview validation rules
+const validateGiftCode = [
+  giftCodeRule(),
+  handleValidationErrors
+];
+
+// Gift claim validation rules (guests give a phone number for the reservation)
+const validateGiftClaim = [
+  giftCodeRule(),
+  
+  body('phone')
+    .optional()
+    .matches(/^\+?[\d\s\-\(\)]+$/)
+    .withMessage('Please provide a valid phone number'),
+  
+  handleValidationErrors
+];
+
+// Box office walk-in sale validation rules (customer details are optional)
+const validateWalkInSale = [
+  body('showtime')
+    .isMongoId()
+    .withMessage('Please provide a valid showtime ID'),
+  
+  body('terminal')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Terminal must be between 1 and 50 characters'),
+  
+  body('count')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Seat count must be between 1 and 10'),
+  
+  body('type')
+    .optional()
+    .isIn(['regular', 'premium', 'vip'])
+    .withMessage('Seat type must be one of: regular, premium, vip'),
+  
+  body('seats')
+    .if(body('count').not().exists())
+    .exists()
+    .withMessage('Provide either seats or a seat count'),
+  
+  ...seatSelectionRules({ optional: true }),
+  
+  body('payment.method')
+    .isIn(['cash', 'credit_card', 'debit_card', 'gift_card'])
+    .withMessage('Payment method must be one of: cash, credit_card, debit_card, gift_card'),
+  
+  body('payment.amountTendered')
+    .if(body('payment.method').equals('cash'))
+    .isFloat({ min: 0 })
+    .withMessage('Amount tendered is required for cash payments'),
+  
+  body('payment.token')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Payment token must be between 1 and 200 characters'),
+  
+  body('customer.name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Customer name must be between 1 and 100 characters'),
+  
+  body('customer.email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid customer email'),
+  
+  body('customer.phone')
+    .optional()
+    .matches(/^\+?[\d\s\-\(\)]+$/)
+    .withMessage('Please provide a valid customer phone number'),
+  
+  handleValidationErrors
+];
+
+// Cash drawer report validation rules
+const validateDrawerQuery = [
+  query('terminal')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Terminal must be between 1 and 50 characters'),
+  
+  query('staff')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid staff user ID'),
+  
+  query('openingFloat')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Opening float must be a non-negative amount'),
+  
+  query('countedCash')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Counted cash must be a non-negative amount'),
+  
+  handleValidationErrors
+];
+
+// Refund policy attachment validation rules (null detaches)
+const validateRefundPolicyAttachment = [
+  body('refundPolicy')
+    .exists()
+    .withMessage('Refund policy is required (use null to detach)')
+    .bail()
+    .custom(value => {
+      if (value !== null && !/^[0-9a-fA-F]{24}$/.test(value)) {
+        throw new Error('Please provide a valid refund policy ID');
+      }
+      return true;
+    }),
+  
   handleValidationErrors
 ];
 
@@ -328,6 +877,29 @@ module.exports = {
   validateTheater,
   validateShowtime,
   validateReservation,
+  validateSeatHold,
+  validateSeatChange,
+  validateExchange,
+  validateWaitlistJoin,
+  validateBestSeatsQuery,
+  validatePromoCode,
+  validateRefundPolicy,
+  validateRefundPolicyAttachment,
+  validateRefundQuery,
+  validateRefundRejection,
+  validateRefundProcessing,
+  validatePaymentEventQuery,
+  validateTheaterAssignment,
+  validateTicketFormat,
+  validateTicketScan,
+  validateCheckIn,
+  validateGuestLookup,
+  validateReservationClaim,
+  validateGiftReassignment,
+  validateGiftCode,
+  validateGiftClaim,
+  validateWalkInSale,
+  validateDrawerQuery,
   validateObjectId,
   validatePagination,
   validateDateRange
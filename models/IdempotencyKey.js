@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// How long a stored response can be replayed
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  // Empty for guest checkouts
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Method and path the key was first used for
+  scope: {
+    type: String,
+    required: [true, 'Scope is required']
+  },
+  // Hash of the request body, so a key can't be reused for a different request
+  requestHash: {
+    type: String,
+    required: [true, 'Request hash is required']
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// A key belongs to one user, so two users can't collide on the same key
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// Let MongoDB remove keys once they can no longer be replayed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
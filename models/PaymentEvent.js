@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Inbound payment provider webhook, kept for de-duplication, replay and troubleshooting
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Payload is required']
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  // What the event did, e.g. reservation_confirmed
+  result: {
+    type: String
+  },
+  lastError: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+paymentEventSchema.index({ reservation: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
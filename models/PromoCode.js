@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const PromoRedemption = require('./PromoRedemption');
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discount cannot exceed 100%'
+    }
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  maxUses: {
+    type: Number,
+    min: [1, 'Max uses must be at least 1']
+  },
+  maxUsesPerUser: {
+    type: Number,
+    min: [1, 'Max uses per user must be at least 1'],
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Used count cannot be negative']
+  },
+  minimumSpend: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum spend cannot be negative']
+  },
+  restrictions: {
+    movies: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie'
+    }],
+    theaters: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Theater'
+    }],
+    formats: [{
+      type: String,
+      enum: ['2D', '3D', 'IMAX', 'Dolby Atmos']
+    }]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for remaining uses
+promoCodeSchema.virtual('remainingUses').get(function() {
+  if (!this.maxUses) return null;
+  return Math.max(this.maxUses - this.usedCount, 0);
+});
+
+// Indexes for better query performance
+promoCodeSchema.index({ isActive: 1, validUntil: 1 });
+
+// Pre-save middleware to validate the validity window
+promoCodeSchema.pre('save', function(next) {
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    return next(new Error('Valid until must be after valid from'));
+  }
+  next();
+});
+
+// Method to check the code can be used for a showtime and subtotal (throws if not)
+promoCodeSchema.methods.assertApplicable = function(showtime, subtotal, at = new Date()) {
+  this.assertRedeemable(at);
+  this.assertEligible(showtime, subtotal);
+};
+
+// Method to check the code itself can still be redeemed (throws if not)
+promoCodeSchema.methods.assertRedeemable = function(at = new Date()) {
+  if (!this.isActive) {
+    throw new Error('This promo code is no longer active');
+  }
+
+  if (this.validFrom && at < this.validFrom) {
+    throw new Error('This promo code is not valid yet');
+  }
+
+  if (this.validUntil && at > this.validUntil) {
+    throw new Error('This promo code has expired');
+  }
+
+  if (this.maxUses && this.usedCount >= this.maxUses) {
+    throw new Error('This promo code has reached its usage limit');
+  }
+};
+
+// Method to check a showtime and subtotal meet the code's restrictions and minimum
+// spend (throws if not). Also used when a booking that already redeemed it changes.
+promoCodeSchema.methods.assertEligible = function(showtime, subtotal) {
+  const idOf = ref => (ref && ref._id ? ref._id : ref).toString();
+  const { movies, theaters, formats } = this.restrictions || {};
+
+  if (movies && movies.length > 0 && !movies.some(movie => idOf(movie) === idOf(showtime.movie))) {
+    throw new Error('This promo code is not valid for this movie');
+  }
+
+  if (theaters && theaters.length > 0 && !theaters.some(theater => idOf(theater) === idOf(showtime.theater))) {
+    throw new Error('This promo code is not valid at this theater');
+  }
+
+  if (formats && formats.length > 0 && !formats.includes(showtime.format)) {
+    throw new Error(`This promo code is not valid for ${showtime.format} showings`);
+  }
+
+  if (subtotal < this.minimumSpend) {
+    throw new Error(`This promo code requires a minimum spend of ${this.minimumSpend}`);
+  }
+};
+
+// Method to calculate the discount on a subtotal (never more than the subtotal)
+promoCodeSchema.methods.calculateDiscount = function(subtotal) {
+  const discount = this.discountType === 'percentage'
+    ? subtotal * this.discountValue / 100
+    : this.discountValue;
+  return Math.round(Math.min(discount, subtotal) * 100) / 100;
+};
+
+// Static method to find a code regardless of case
+promoCodeSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Static method to atomically redeem a code for a user.
+// The global limit is enforced by a conditional increment. Each user gets maxUsesPerUser
+// numbered slots guarded by a unique (promoCode, user, useNumber) index, so concurrent
+// redemptions can't exceed either limit.
+promoCodeSchema.statics.redeem = async function(promoCode, userId, { reservation, discountAmount }) {
+  const usedSlots = await PromoRedemption.find({ promoCode: promoCode._id, user: userId }).distinct('useNumber');
+  let useNumber = 1;
+  while (usedSlots.includes(useNumber)) useNumber++;
+
+  if (useNumber > promoCode.maxUsesPerUser) {
+    throw new Error('You have already used this promo code the maximum number of times');
+  }
+
+  const filter = { _id: promoCode._id, isActive: true };
+  if (promoCode.maxUses) {
+    filter.usedCount = { $lt: promoCode.maxUses };
+  }
+
+  const result = await this.updateOne(filter, { $inc: { usedCount: 1 } });
+  if (result.modifiedCount !== 1) {
+    throw new Error('This promo code has reached its usage limit');
+  }
+
+  try {
+    return await PromoRedemption.create({
+      promoCode: promoCode._id,
+      user: userId,
+      useNumber,
+      reservation,
+      discountAmount
+    });
+  } catch (error) {
+    await this.updateOne({ _id: promoCode._id }, { $inc: { usedCount: -1 } });
+    if (error.code === 11000) {
+      throw new Error('You have already used this promo code the maximum number of times');
+    }
+    throw error;
+  }
+};
+
+// Static method to undo a redemption (when the booking it was for fails)
+promoCodeSchema.statics.releaseRedemption = async function(redemption) {
+  await PromoRedemption.deleteOne({ _id: redemption._id });
+  await this.updateOne({ _id: redemption.promoCode }, { $inc: { usedCount: -1 } });
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
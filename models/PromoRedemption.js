@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: [true, 'Promo code is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  useNumber: {
+    type: Number,
+    required: [true, 'Use number is required'],
+    min: [1, 'Use number must be at least 1']
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  discountAmount: {
+    type: Number,
+    required: [true, 'Discount amount is required'],
+    min: [0, 'Discount amount cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+// Each use by a user gets its own slot, so two concurrent redemptions can't take the same one
+promoRedemptionSchema.index({ promoCode: 1, user: 1, useNumber: 1 }, { unique: true });
+promoRedemptionSchema.index({ promoCode: 1, createdAt: -1 });
+promoRedemptionSchema.index({ reservation: 1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
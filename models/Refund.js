@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const RefundTransaction = require('./RefundTransaction');
+const ReservationEvent = require('./ReservationEvent');
+
+const refundSchema = new mongoose.Schema({
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation is required']
+  },
+  // Empty for box office sales made without a customer account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // Refunds always go back to the method the customer paid with
+  method: {
+    type: String,
+    enum: ['credit_card', 'debit_card', 'paypal', 'cash', 'gift_card'],
+    required: [true, 'Payment method is required']
+  },
+  originalTransactionId: {
+    type: String
+  },
+  // Cancellation refunds are dropped if the booking is reinstated; price adjustment
+  // refunds (seat changes and exchanges to something cheaper) are not
+  kind: {
+    type: String,
+    enum: ['cancellation', 'price_adjustment'],
+    default: 'cancellation'
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'processing', 'processed', 'rejected'],
+    default: 'pending'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: {
+    type: Date
+  },
+  // Set once the money has gone out, with the provider's payout reference, so a refund
+  // whose ledger entry failed can be finished later without paying it out again
+  paidOutAt: {
+    type: Date
+  },
+  payoutReference: {
+    type: String
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefundTransaction'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+// Not unique: a reinstated and re-cancelled reservation gets a new refund
+refundSchema.index({ reservation: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: 1 });
+refundSchema.index({ user: 1, createdAt: -1 });
+
+// Error for a refund workflow step its current status doesn't allow
+const refundStateError = (message) => {
+  const error = new Error(message);
+  error.name = 'RefundStateError';
+  return error;
+};
+
+// Add a refund step to the reservation's history timeline
+const recordRefundEvent = (refund, type, adminId, data = {}) => ReservationEvent.record(
+  refund.reservation,
+  type,
+  {
+    actor: adminId ? { _id: adminId, role: 'admin' } : undefined,
+    data: { refund: refund._id, amount: refund.amount, method: refund.method, ...data }
+  }
+);
+
+// Method to generate a refund reference
+refundSchema.methods.generateReference = function() {
+  const prefix = 'RF';
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substr(2, 4).toUpperCase();
+  return `${prefix}${timestamp}${random}`;
+};
+
+// Static method to queue one refund per payment part ({ transactionId, amount })
+refundSchema.statics.queueParts = async function(reservation, parts, { kind, reason }) {
+  const refunds = [];
+  for (const part of parts) {
+    const refund = await this.create({
+      reservation: reservation._id,
+      user: reservation.user ? (reservation.user._id || reservation.user) : undefined,
+      amount: part.amount,
+      currency: reservation.paymentDetails.currency,
+      method: reservation.paymentDetails.method,
+      originalTransactionId: part.transactionId,
+      kind,
+      reason
+    });
+
+    await ReservationEvent.record(reservation._id, 'refund_queued', {
+      actor: reservation.$locals.actor,
+      data: { refund: refund._id, amount: refund.amount, method: refund.method, kind }
+    });
+    refunds.push(refund);
+  }
+  return refunds;
+};
+
+// Static method to queue the refund for a cancelled reservation, split across the
+// payments the customer made (empty when nothing is owed)
+refundSchema.statics.queueForReservation = function(reservation) {
+  if (!reservation.refundAmount || reservation.refundAmount <= 0) {
+    return Promise.resolve([]);
+  }
+
+  return this.queueParts(reservation, reservation.allocateRefund(reservation.refundAmount), {
+    kind: 'cancellation',
+    reason: reservation.cancellationReason
+  });
+};
+
+// Static method to queue the refund for a price decrease recorded with recordPriceRefund
+refundSchema.statics.queuePriceAdjustment = function(reservation, parts, reason) {
+  return this.queueParts(reservation, parts, { kind: 'price_adjustment', reason });
+};
+
+// Static method to atomically move a refund between statuses (null if it wasn't in `from`)
+refundSchema.statics.transition = function(refundId, from, update) {
+  return this.findOneAndUpdate(
+    { _id: refundId, status: { $in: from } },
+    update,
+    { new: true, runValidators: true }
+  );
+};
+
+// Static method to approve a pending refund
+refundSchema.statics.approve = async function(refundId, adminId) {
+  const refund = await this.transition(refundId, ['pending'], {
+    status: 'approved',
+    approvedBy: adminId,
+    approvedAt: new Date()
+  });
+  if (!refund) {
+    throw refundStateError('Only pending refunds can be approved');
+  }
+  await recordRefundEvent(refund, 'refund_approved', adminId);
+  return refund;
+};
+
+// Static method to reject a refund that hasn't been paid out
+refundSchema.statics.reject = async function(refundId, adminId, reason) {
+  const refund = await this.transition(refundId, ['pending', 'approved'], {
+    status: 'rejected',
+    rejectedBy: adminId,
+    rejectedAt: new Date(),
+    rejectionReason: reason
+  });
+  if (!refund) {
+    throw refundStateError('Only pending or approved refunds can be rejected');
+  }
+  await recordRefundEvent(refund, 'refund_rejected', adminId, { reason });
+  return refund;
+};
+
+// Static method to pay out a refund and record it in the ledger.
+// Processing a pending refund approves it at the same time. `payout` sends the
+// money (e.g. through the payment provider) and may return the payout reference.
+// A refund that was paid out but couldn't be recorded stays `processing`; processing
+// it again records it in the ledger without paying out a second time.
+refundSchema.statics.processRefund = async function(refundId, adminId, { reference, payout } = {}) {
+  let wasPending = true;
+  let refund = await this.transition(refundId, ['pending'], { status: 'processing' });
+  if (!refund) {
+    wasPending = false;
+    refund = await this.transition(refundId, ['approved'], { status: 'processing' });
+  }
+
+  let paidOut = false;
+  if (!refund) {
+    refund = await this.findOne({ _id: refundId, status: 'processing', paidOutAt: { $ne: null }, transaction: null });
+    paidOut = Boolean(refund);
+  }
+  if (!refund) {
+    throw refundStateError('Only pending or approved refunds can be processed');
+  }
+
+  if (paidOut) {
+    reference = refund.payoutReference || reference;
+  } else if (payout) {
+    try {
+      reference = (await payout(refund)) || reference;
+    } catch (error) {
+      await this.updateOne({ _id: refund._id, status: 'processing' }, { status: wasPending ? 'pending' : 'approved' });
+      throw error;
+    }
+
+    paidOut = true;
+    await this.updateOne({ _id: refund._id }, { paidOutAt: new Date(), payoutReference: reference });
+  }
+
+  let transaction;
+  try {
+    transaction = await RefundTransaction.create({
+      refund: refund._id,
+      reservation: refund.reservation,
+      user: refund.user,
+      amount: refund.amount,
+      currency: refund.currency,
+      method: refund.method,
+      reference: reference || refund.generateReference(),
+      originalTransactionId: refund.originalTransactionId,
+      processedBy: adminId
+    });
+  } catch (error) {
+    // Once the money has gone out the refund must not go back to the queue
+    if (!paidOut) {
+      await this.updateOne({ _id: refund._id, status: 'processing' }, { status: wasPending ? 'pending' : 'approved' });
+    }
+    throw error;
+  }
+
+  const update = {
+    status: 'processed',
+    processedBy: adminId,
+    processedAt: transaction.createdAt,
+    transaction: transaction._id
+  };
+  if (!refund.approvedAt) {
+    update.approvedBy = adminId;
+    update.approvedAt = transaction.createdAt;
+  }
+
+  const processed = await this.findByIdAndUpdate(refund._id, update, { new: true });
+  // A refunded price difference leaves the booking itself paid for, so it can still be reinstated
+  if (processed.kind === 'cancellation') {
+    await mongoose.model('Reservation').updateOne({ _id: refund.reservation }, { refundProcessed: true });
+  }
+  await recordRefundEvent(processed, 'refunded', adminId, { reference: transaction.reference });
+
+  return { refund: processed, transaction };
+};
+
+module.exports = mongoose.model('Refund', refundSchema);
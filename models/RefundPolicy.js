@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+const refundRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  // Conditions (empty means "any")
+  formats: [{
+    type: String,
+    enum: ['2D', '3D', 'IMAX', 'Dolby Atmos']
+  }],
+  discountTypes: [{
+    type: String,
+    enum: ['early_bird', 'student', 'senior', 'group', 'promo_code']
+  }],
+  promoCodes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode'
+  }],
+  minHoursBeforeShowtime: {
+    type: Number,
+    default: 0,
+    min: [0, 'Hours before showtime cannot be negative']
+  },
+  // Outcome
+  refundPercentage: {
+    type: Number,
+    required: [true, 'Refund percentage is required'],
+    min: [0, 'Refund percentage cannot be negative'],
+    max: [100, 'Refund percentage cannot exceed 100%']
+  },
+  allowCancellation: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const refundPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Cancellations are never allowed closer to the showtime than this
+  cancellationCutoffHours: {
+    type: Number,
+    default: 2,
+    min: [0, 'Cancellation cut-off cannot be negative']
+  },
+  // Evaluated in order; the first matching rule applies
+  rules: [refundRuleSchema],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Used when no policy is attached to the showtime or theater and no default policy exists
+const BUILT_IN_POLICY = {
+  name: 'Standard refund policy',
+  cancellationCutoffHours: 2,
+  rules: [
+    { name: 'More than 24 hours before showtime', minHoursBeforeShowtime: 24, refundPercentage: 90, allowCancellation: true },
+    { name: 'More than 2 hours before showtime', minHoursBeforeShowtime: 2, refundPercentage: 50, allowCancellation: true }
+  ]
+};
+
+// Indexes for better query performance
+refundPolicySchema.index({ isDefault: 1, isActive: 1 });
+
+// Check whether a rule's conditions match a booking
+const ruleMatches = (rule, { format, discountType, promoCode, hoursUntilShowtime }) => {
+  if (rule.formats && rule.formats.length > 0 && !rule.formats.includes(format)) {
+    return false;
+  }
+  if (rule.discountTypes && rule.discountTypes.length > 0 && !rule.discountTypes.includes(discountType)) {
+    return false;
+  }
+  if (rule.promoCodes && rule.promoCodes.length > 0 &&
+      !rule.promoCodes.some(id => promoCode && id.toString() === promoCode.toString())) {
+    return false;
+  }
+  return hoursUntilShowtime >= (rule.minHoursBeforeShowtime || 0);
+};
+
+/**
+ * Evaluate a refund policy for a reservation
+ * @param {Object} policy - Refund policy document or plain object
+ * @param {Object} reservation - Reservation with populated showtime
+ * @param {Date} at - Time of cancellation (default: now)
+ * @returns {Object} { cancellable, refundPercentage, refundAmount, policy, rule }
+ */
+const evaluatePolicy = (policy, reservation, at = new Date()) => {
+  const showtime = reservation.showtime;
+  const hoursUntilShowtime = (new Date(showtime.startTime) - at) / (1000 * 60 * 60);
+  const discount = reservation.discountApplied || {};
+
+  const result = {
+    cancellable: false,
+    refundPercentage: 0,
+    refundAmount: 0,
+    policy: { id: policy._id || null, name: policy.name },
+    rule: null
+  };
+
+  if (hoursUntilShowtime <= policy.cancellationCutoffHours) {
+    return result;
+  }
+
+  const rule = policy.rules.find(candidate => ruleMatches(candidate, {
+    format: showtime.format,
+    discountType: discount.type,
+    promoCode: discount.promoCode,
+    hoursUntilShowtime
+  }));
+
+  // Outside the cut-off but no rule matched: cancellable without refund
+  if (!rule) {
+    result.cancellable = true;
+    return result;
+  }
+
+  result.cancellable = rule.allowCancellation !== false;
+  result.refundPercentage = result.cancellable ? rule.refundPercentage : 0;
+  // Never more than the customer actually paid
+  const refundable = reservation.amountPaid === undefined
+    ? reservation.totalAmount
+    : Math.min(reservation.totalAmount, reservation.amountPaid);
+  result.refundAmount = Math.round(refundable * result.refundPercentage) / 100;
+  result.rule = rule.name;
+  return result;
+};
+
+// Method to evaluate this policy for a reservation
+refundPolicySchema.methods.evaluate = function(reservation, at) {
+  return evaluatePolicy(this, reservation, at);
+};
+
+// Static method to evaluate any policy, including the built-in one
+refundPolicySchema.statics.evaluatePolicy = evaluatePolicy;
+
+// Static method to get the built-in policy
+refundPolicySchema.statics.getBuiltInPolicy = function() {
+  return BUILT_IN_POLICY;
+};
+
+// Static method to find the policy for a showtime: showtime, then theater, then default
+refundPolicySchema.statics.resolveForShowtime = async function(showtime) {
+  const Theater = mongoose.model('Theater');
+  const candidates = [showtime.refundPolicy];
+
+  const theaterId = showtime.theater && showtime.theater._id ? showtime.theater._id : showtime.theater;
+  if (theaterId) {
+    const theater = await Theater.findById(theaterId).select('refundPolicy');
+    if (theater) candidates.push(theater.refundPolicy);
+  }
+
+  for (const policyId of candidates.filter(Boolean)) {
+    const policy = await this.findOne({ _id: policyId, isActive: true });
+    if (policy) return policy;
+  }
+
+  const defaultPolicy = await this.findOne({ isDefault: true, isActive: true });
+  return defaultPolicy || BUILT_IN_POLICY;
+};
+
+module.exports = mongoose.model('RefundPolicy', refundPolicySchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Ledger of money returned to customers. Entries are append-only.
+const refundTransactionSchema = new mongoose.Schema({
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    required: [true, 'Refund is required']
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation is required']
+  },
+  // Empty for box office sales made without a customer account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  method: {
+    type: String,
+    enum: ['credit_card', 'debit_card', 'paypal', 'cash', 'gift_card'],
+    required: [true, 'Payment method is required']
+  },
+  reference: {
+    type: String,
+    required: [true, 'Refund reference is required']
+  },
+  originalTransactionId: {
+    type: String
+  },
+  // Empty when the refund was reported by the payment provider
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One ledger entry per refund, so a refund can't be paid out twice
+refundTransactionSchema.index({ refund: 1 }, { unique: true });
+refundTransactionSchema.index({ createdAt: -1 });
+refundTransactionSchema.index({ method: 1, createdAt: -1 });
+
+// Pre-save middleware to keep the ledger append-only
+refundTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Refund ledger entries cannot be modified'));
+  }
+  next();
+});
+
+refundTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Refund ledger entries cannot be modified'));
+  }
+);
+
+// Static method to total the ledger by payment method for a date range
+refundTransactionSchema.statics.getTotalsForDateRange = function(startDate, endDate) {
+  return this.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: startDate, $lte: endDate }
+      }
+    },
+    {
+      $group: {
+        _id: '$method',
+        totalRefunded: { $sum: '$amount' },
+        refundCount: { $sum: 1 }
+      }
+    },
+    {
+      $sort: { totalRefunded: -1 }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('RefundTransaction', refundTransactionSchema);
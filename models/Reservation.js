@@ -1,10 +1,97 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const RefundPolicy = require('./RefundPolicy');
+const ReservationEvent = require('./ReservationEvent');
+const { signTicket } = require('../utils/tickets');
+
+// Reservations can only be changed up to this many hours before the showtime
+const EDIT_CUTOFF_HOURS = 24;
+
+// Allowed status changes; every status change goes through assertTransition
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['cancelled', 'completed', 'no_show'],
+  // Reinstating a cancelled reservation re-reserves its seats
+  cancelled: ['confirmed'],
+  completed: [],
+  // A no-show can be corrected once the customer turns out to have attended
+  no_show: ['completed']
+};
+
+// History events recorded when the payment status changes
+const PAYMENT_STATUS_EVENTS = {
+  processing: 'payment_pending',
+  captured: 'payment_captured',
+  failed: 'payment_failed',
+  disputed: 'payment_disputed'
+};
+
+// Error for a status change the state machine doesn't allow
+const statusTransitionError = (message) => {
+  const error = new Error(message);
+  error.name = 'StatusTransitionError';
+  return error;
+};
+
+// Statuses whose payment is kept, so they count as revenue (a no-show still paid)
+const REVENUE_STATUSES = ['confirmed', 'completed', 'no_show'];
+
+// What the purchaser paid; hidden from the recipient of a gift
+const PRICING_FIELDS = ['totalAmount', 'discountApplied', 'discountPercentage', 'paymentDetails',
+  'priceAdjustments', 'refundAmount', 'refundPolicyApplied', 'exchangeHistory', 'boxOfficeSale'];
+
+// Error for a gift that can't be claimed or reassigned
+const giftError = (message) => {
+  const error = new Error(message);
+  error.name = 'GiftError';
+  return error;
+};
+
+// Error for seats that can't be checked in
+const checkInError = (message) => {
+  const error = new Error(message);
+  error.name = 'CheckInError';
+  return error;
+};
 
 const reservationSchema = new mongoose.Schema({
+  // Guest checkouts and box office sales to walk-in customers have no user account
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User is required']
+    required: [function() { return this.channel === 'online'; }, 'User is required']
+  },
+  channel: {
+    type: String,
+    // guest: booked online without an account, reached with reservationNumber and contact email
+    enum: ['online', 'guest', 'box_office'],
+    default: 'online'
+  },
+  // Counter sale details for box office reservations
+  boxOfficeSale: {
+    soldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    terminal: {
+      type: String,
+      maxlength: [50, 'Terminal cannot exceed 50 characters']
+    },
+    receiptNumber: {
+      type: String
+    },
+    customerName: {
+      type: String,
+      maxlength: [100, 'Customer name cannot exceed 100 characters']
+    },
+    amountTendered: {
+      type: Number,
+      min: [0, 'Amount tendered cannot be negative']
+    },
+    changeGiven: {
+      type: Number,
+      min: [0, 'Change cannot be negative']
+    }
   },
   showtime: {
     type: mongoose.Schema.Types.ObjectId,
@@ -29,6 +116,14 @@ const reservationSchema = new mongoose.Schema({
       type: Number,
       required: [true, 'Seat price is required'],
       min: [0, 'Price cannot be negative']
+    },
+    // Each seat is checked in separately, so a group can arrive at different times
+    checkedInAt: {
+      type: Date
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     }
   }],
   totalAmount: {
@@ -45,7 +140,11 @@ const reservationSchema = new mongoose.Schema({
       type: Number,
       min: [0, 'Discount amount cannot be negative']
     },
-    description: String
+    description: String,
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    }
   },
   status: {
     type: String,
@@ -58,12 +157,31 @@ const reservationSchema = new mongoose.Schema({
       enum: ['credit_card', 'debit_card', 'paypal', 'cash', 'gift_card'],
       required: [true, 'Payment method is required']
     },
+    // Set by the payment provider when the payment is captured
     transactionId: {
       type: String,
       required: function() {
-        return this.paymentDetails.method !== 'cash';
+        return this.paymentDetails.status === 'captured';
       }
     },
+    provider: {
+      type: String
+    },
+    authorizationId: {
+      type: String
+    },
+    status: {
+      type: String,
+      // processing: submitted to the provider, confirmation arrives by webhook
+      enum: ['pending', 'authorized', 'processing', 'captured', 'failed', 'voided', 'disputed'],
+      default: 'pending'
+    },
+    failureReason: {
+      type: String
+    },
+    disputedAt: {
+      type: Date
+    },
     amount: {
       type: Number,
       required: [true, 'Payment amount is required']
@@ -77,31 +195,40 @@ const reservationSchema = new mongoose.Schema({
       default: Date.now
     }
   },
+  // Unpaid pending reservations are cancelled and their seats released after this
+  paymentExpiresAt: {
+    type: Date
+  },
   reservationNumber: {
     type: String,
     unique: true,
     required: [true, 'Reservation number is required']
   },
   contactInfo: {
+    // Optional for walk-in customers at the box office
     email: {
       type: String,
-      required: [true, 'Contact email is required'],
+      required: [function() { return this.channel !== 'box_office'; }, 'Contact email is required'],
+      lowercase: true,
       match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
     },
     phone: {
       type: String,
-      required: [true, 'Contact phone is required']
+      required: [function() { return this.channel !== 'box_office'; }, 'Contact phone is required']
     }
   },
   specialRequests: {
     type: String,
     maxlength: [500, 'Special requests cannot exceed 500 characters']
   },
+  // When the first seat was checked in
   checkInTime: {
     type: Date
   },
+  // Signed ticket code shown as the QR ticket; issued on confirmation and
+  // reissued when seats or showtime change, which invalidates the old code
   qrCode: {
-    type: String // Will store QR code data or URL
+    type: String
   },
   remindersSent: {
     email: {
@@ -121,6 +248,39 @@ const reservationSchema = new mongoose.Schema({
     type: String,
     maxlength: [200, 'Gift message cannot exceed 200 characters']
   },
+  // The recipient claims a gift with the code emailed to them once it is paid for,
+  // which moves the reservation to their account (or guest access)
+  gift: {
+    // Stays set after the reservation moves to the recipient
+    purchaser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recipientEmail: {
+      type: String,
+      required: [function() { return this.isGift; }, 'Gift recipient email is required'],
+      lowercase: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid recipient email']
+    },
+    recipientName: {
+      type: String,
+      maxlength: [100, 'Recipient name cannot exceed 100 characters']
+    },
+    claimCode: {
+      type: String,
+      select: false
+    },
+    sentAt: {
+      type: Date
+    },
+    claimedAt: {
+      type: Date
+    },
+    claimedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   cancellationReason: {
     type: String,
     maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
@@ -135,10 +295,69 @@ const reservationSchema = new mongoose.Schema({
   refundProcessed: {
     type: Boolean,
     default: false
-  }
+  },
+  refundPolicyApplied: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefundPolicy'
+    },
+    name: String,
+    rule: String,
+    refundPercentage: Number
+  },
+  exchangeHistory: [{
+    showtime: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Showtime',
+      required: true
+    },
+    seats: [{
+      row: String,
+      number: Number,
+      type: { type: String },
+      price: Number
+    }],
+    totalAmount: Number,
+    exchangedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  priceAdjustments: [{
+    type: {
+      type: String,
+      enum: ['charge', 'refund'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Adjustment amount cannot be negative']
+    },
+    reason: {
+      type: String,
+      maxlength: [200, 'Adjustment reason cannot exceed 200 characters']
+    },
+    // Payment a charge was taken as, or the payment a refund goes back to
+    transactionId: {
+      type: String
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  optimisticConcurrency: true,
+  toJSON: {
+    virtuals: true,
+    // The claim code only ever goes to the recipient's email
+    transform: (doc, ret) => {
+      if (ret.gift) delete ret.gift.claimCode;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -152,16 +371,39 @@ reservationSchema.virtual('formattedSeats').get(function() {
   return this.seats.map(seat => `${seat.row}${seat.number}`).join(', ');
 });
 
-// Virtual to check if reservation is cancellable
+// Virtual for the number of seats checked in. Reservations checked in before
+// seats were tracked separately only have checkInTime and count as fully attended.
+reservationSchema.virtual('checkedInSeatCount').get(function() {
+  const count = this.seats.filter(seat => seat.checkedInAt).length;
+  return count === 0 && this.checkInTime ? this.seats.length : count;
+});
+
+// Virtual for attendance: none, partial or full
+reservationSchema.virtual('attendance').get(function() {
+  const count = this.checkedInSeatCount;
+  if (count === 0) return 'none';
+  return count < this.seats.length ? 'partial' : 'full';
+});
+
+// Virtual for what the customer has actually paid: the captured booking payment
+// plus charged price differences, less price differences refunded
+reservationSchema.virtual('amountPaid').get(function() {
+  if (this.paymentDetails.status !== 'captured') return 0;
+
+  const adjusted = (this.priceAdjustments || []).reduce((total, adjustment) => (
+    adjustment.type === 'charge' ? total + adjustment.amount : total - adjustment.amount
+  ), this.paymentDetails.amount);
+  return Math.round(adjusted * 100) / 100;
+});
+
+// Virtual to check if reservation is cancellable under its refund policy
 reservationSchema.virtual('isCancellable').get(function() {
-  if (this.status === 'cancelled' || this.status === 'completed') {
+  if (!STATUS_TRANSITIONS[this.status].includes('cancelled')) {
     return false;
   }
   
-  // Can't cancel if showtime is in the past or starting within 2 hours
   if (this.showtime && this.showtime.startTime) {
-    const twoHoursFromNow = new Date(Date.now() + 2 * 60 * 60 * 1000);
-    return this.showtime.startTime > twoHoursFromNow;
+    return this.evaluateRefund().cancellable;
   }
   
   return true;
@@ -175,8 +417,7 @@ reservationSchema.virtual('isEditable').get(function() {
   
   // Can't edit if showtime is in the past or starting within 24 hours
   if (this.showtime && this.showtime.startTime) {
-    const twentyFourHoursFromNow = new Date(Date.now() + 24 * 60 * 60 * 1000);
-    return this.showtime.startTime > twentyFourHoursFromNow;
+    return this.constructor.isBeforeEditCutoff(this.showtime.startTime);
   }
   
   return true;
@@ -189,8 +430,16 @@ reservationSchema.virtual('discountPercentage').get(function() {
   return Math.round((this.discountApplied.amount / baseAmount) * 100);
 });
 
+// Virtual for where a gift stands (null for reservations that aren't gifts)
+reservationSchema.virtual('giftStatus').get(function() {
+  if (!this.isGift) return null;
+  return this.gift && this.gift.claimedAt ? 'claimed' : 'unclaimed';
+});
+
 // Indexes for better query performance
 reservationSchema.index({ user: 1, createdAt: -1 });
+reservationSchema.index({ 'gift.purchaser': 1, createdAt: -1 });
+reservationSchema.index({ 'gift.claimCode': 1 }, { sparse: true });
 reservationSchema.index({ showtime: 1 });
 reservationSchema.index({ status: 1 });
 reservationSchema.index({ reservationNumber: 1 });
@@ -200,6 +449,9 @@ reservationSchema.index({ createdAt: -1 });
 // Compound indexes for common queries
 reservationSchema.index({ user: 1, status: 1 });
 reservationSchema.index({ showtime: 1, status: 1 });
+reservationSchema.index({ channel: 1, 'boxOfficeSale.terminal': 1, createdAt: -1 });
+reservationSchema.index({ 'contactInfo.email': 1, user: 1 });
+reservationSchema.index({ status: 1, paymentExpiresAt: 1 });
 
 // Pre-save middleware to generate reservation number
 reservationSchema.pre('save', function(next) {
@@ -209,14 +461,184 @@ reservationSchema.pre('save', function(next) {
   next();
 });
 
-// Pre-save middleware to validate payment amount
+// Pre-save middleware to validate payment amount (later price differences are
+// charged or refunded separately, so paymentDetails.amount stays what was first captured)
 reservationSchema.pre('save', function(next) {
-  if (this.paymentDetails.amount !== this.totalAmount) {
+  if (this.isNew && this.paymentDetails.amount !== this.totalAmount) {
     return next(new Error('Payment amount must match total amount'));
   }
   next();
 });
 
+// Remember the stored status so status changes can be recorded with where they came from
+reservationSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// Pre-save middleware to add lifecycle changes to the history timeline
+reservationSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.logEvent('created', {
+      status: this.status,
+      seats: this.formattedSeats,
+      totalAmount: this.totalAmount
+    });
+    return next();
+  }
+
+  const paymentEvent = PAYMENT_STATUS_EVENTS[this.paymentDetails.status];
+  if (paymentEvent && this.isModified('paymentDetails.status')) {
+    this.logEvent(paymentEvent, {
+      provider: this.paymentDetails.provider,
+      transactionId: this.paymentDetails.transactionId,
+      amount: this.paymentDetails.amount,
+      reason: this.paymentDetails.failureReason
+    });
+  }
+
+  if (this.isModified('status')) {
+    this.logEvent('status_changed', {
+      from: this.$locals.savedStatus,
+      to: this.status,
+      reason: this.status === 'cancelled' ? this.cancellationReason : undefined
+    });
+  }
+  next();
+});
+
+// Post-save middleware to write queued history events once the change is stored
+reservationSchema.post('save', async function() {
+  this.$locals.savedStatus = this.status;
+
+  const events = this.$locals.pendingEvents || [];
+  this.$locals.pendingEvents = [];
+
+  for (const event of events) {
+    await ReservationEvent.record(this._id, event.type, { actor: this.$locals.actor, data: event.data });
+  }
+});
+
+// Method to set who is making the current changes (a user document, or a role
+// such as 'system' or 'payment_provider'); used for the history timeline
+reservationSchema.methods.setActor = function(actor) {
+  this.$locals.actor = actor;
+  return this;
+};
+
+// Method to queue a history event; it is written when the reservation is next saved
+reservationSchema.methods.logEvent = function(type, data = {}) {
+  if (!this.$locals.pendingEvents) {
+    this.$locals.pendingEvents = [];
+  }
+  this.$locals.pendingEvents.push({ type, data });
+};
+
+// Method to check whether a user owns the reservation (walk-in sales have no owner)
+reservationSchema.methods.isOwnedBy = function(user) {
+  if (!this.user || !user) return false;
+  return (this.user._id || this.user).toString() === user._id.toString();
+};
+
+// Method to check whether a user bought the reservation as a gift
+reservationSchema.methods.isPurchasedBy = function(user) {
+  if (!this.isGift || !this.gift || !this.gift.purchaser || !user) return false;
+  return (this.gift.purchaser._id || this.gift.purchaser).toString() === user._id.toString();
+};
+
+// Method to check whether a viewer is the recipient of a claimed gift, who
+// doesn't get to see what was paid (guests reach a claimed gift only as its recipient)
+reservationSchema.methods.isViewedByGiftRecipient = function(user) {
+  if (this.giftStatus !== 'claimed') return false;
+  if (!user) return true;
+  return user.role !== 'admin' && !this.isPurchasedBy(user);
+};
+
+// Method to get the reservation as a gift recipient sees it, without pricing
+reservationSchema.methods.toGiftRecipientJSON = function() {
+  const json = this.toJSON();
+  for (const field of PRICING_FIELDS) {
+    delete json[field];
+  }
+  json.seats = json.seats.map(({ price, ...seat }) => seat);
+  return json;
+};
+
+// Method to start (or restart) a gift: a new claim code replaces any earlier one
+reservationSchema.methods.issueGiftClaim = function() {
+  this.gift.claimCode = crypto.randomBytes(24).toString('hex');
+  this.gift.sentAt = undefined;
+  return this.gift.claimCode;
+};
+
+// Method to send an unclaimed gift to someone else
+reservationSchema.methods.reassignGift = function({ recipientEmail, recipientName, giftMessage }) {
+  if (!this.isGift) {
+    throw giftError('This reservation is not a gift');
+  }
+  if (this.gift.claimedAt) {
+    throw giftError('This gift has already been claimed');
+  }
+  if (!['pending', 'confirmed'].includes(this.status)) {
+    throw giftError(`A ${this.status} gift cannot be reassigned`);
+  }
+
+  const previousRecipient = this.gift.recipientEmail;
+  this.gift.recipientEmail = recipientEmail;
+  this.gift.recipientName = recipientName;
+  if (giftMessage !== undefined) {
+    this.giftMessage = giftMessage;
+  }
+  this.issueGiftClaim();
+
+  this.logEvent('gift_reassigned', { from: previousRecipient, to: this.gift.recipientEmail });
+};
+
+// Method to claim a gift for the recipient's account, or for guest access
+// under the recipient's email when they have no account
+reservationSchema.methods.claimGift = function(user, { phone } = {}) {
+  if (!this.isGift) {
+    throw giftError('This reservation is not a gift');
+  }
+  if (this.gift.claimedAt) {
+    throw giftError('This gift has already been claimed');
+  }
+  if (this.status !== 'confirmed') {
+    throw giftError('This gift can no longer be claimed');
+  }
+
+  this.user = user ? user._id : undefined;
+  this.channel = user ? 'online' : 'guest';
+  this.contactInfo = {
+    email: user ? user.email : this.gift.recipientEmail,
+    phone: user ? user.phone : phone
+  };
+  this.gift.claimedAt = new Date();
+  this.gift.claimedBy = user ? user._id : undefined;
+  this.gift.claimCode = undefined;
+
+  // Tickets the purchaser downloaded stop working once the gift is handed over
+  if (this.qrCode) {
+    this.issueTicket();
+  }
+
+  this.logEvent('gift_claimed', { recipient: this.contactInfo.email, account: Boolean(user) });
+};
+
+// Method to get who the seats are recorded as reserved by: the customer, or the
+// staff member who sold them to a walk-in customer
+reservationSchema.methods.getSeatHolder = function() {
+  if (this.user) return this.user._id || this.user;
+  return this.boxOfficeSale && this.boxOfficeSale.soldBy;
+};
+
+// Method to generate a box office receipt number
+reservationSchema.methods.generateReceiptNumber = function() {
+  const prefix = 'BO';
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substr(2, 4).toUpperCase();
+  return `${prefix}${timestamp}${random}`;
+};
+
 // Method to generate reservation number
 reservationSchema.methods.generateReservationNumber = function() {
   const prefix = 'MR';
@@ -225,45 +647,502 @@ reservationSchema.methods.generateReservationNumber = function() {
   return `${prefix}${timestamp}${random}`;
 };
 
-// Method to cancel reservation
-reservationSchema.methods.cancel = function(reason) {
-  if (!this.isCancellable) {
-    throw new Error('This reservation cannot be cancelled');
+// Method to load the refund policy that applies to this reservation (needs populated showtime)
+reservationSchema.methods.loadRefundPolicy = async function() {
+  this.$locals.refundPolicy = await RefundPolicy.resolveForShowtime(this.showtime);
+  return this.$locals.refundPolicy;
+};
+
+// Method to evaluate the refund policy (falls back to the built-in policy if none was loaded)
+reservationSchema.methods.evaluateRefund = function(at = new Date()) {
+  const policy = this.$locals.refundPolicy || RefundPolicy.getBuiltInPolicy();
+  return RefundPolicy.evaluatePolicy(policy, this, at);
+};
+
+// Method to check a status change is allowed (throws a StatusTransitionError if not).
+// Time-based guards need the showtime populated. `override` lets admins cancel
+// outside the refund policy's cancellation window.
+reservationSchema.methods.assertTransition = function(status, { override = false } = {}) {
+  if (!STATUS_TRANSITIONS[this.status].includes(status)) {
+    throw statusTransitionError(`A ${this.status} reservation cannot be changed to ${status}`);
+  }
+
+  const startTime = this.showtime && this.showtime.startTime;
+  const hasStarted = startTime && new Date(startTime) <= new Date();
+
+  switch (status) {
+    case 'confirmed':
+      if (this.paymentDetails.status !== 'captured') {
+        throw statusTransitionError('Reservation cannot be confirmed until payment is captured');
+      }
+      if (this.status === 'cancelled') {
+        if (!startTime || hasStarted) {
+          throw statusTransitionError('Only reservations for upcoming showtimes can be reinstated');
+        }
+        if (this.refundProcessed) {
+          throw statusTransitionError('This reservation has already been refunded');
+        }
+      }
+      break;
+    case 'cancelled':
+      if (this.status === 'confirmed' && !override && startTime && !this.evaluateRefund().cancellable) {
+        throw statusTransitionError('This reservation cannot be cancelled under the applicable refund policy');
+      }
+      break;
+    case 'completed':
+    case 'no_show':
+      if (!hasStarted) {
+        throw statusTransitionError(`Reservation cannot be marked ${status} before the showtime starts`);
+      }
+      if (status === 'no_show' && this.attendance !== 'none') {
+        throw statusTransitionError('A checked-in reservation cannot be marked as a no-show');
+      }
+      break;
+  }
+};
+
+// Method to check whether a status change is allowed
+reservationSchema.methods.canTransitionTo = function(status, options) {
+  try {
+    this.assertTransition(status, options);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Method to change status with its side effects: cancelling releases the seats and
+// reinstating re-reserves them. Saves the reservation and returns { from, to, refund }.
+reservationSchema.methods.transitionTo = async function(status, { reason, override = false, actor } = {}) {
+  if (actor) {
+    this.setActor(actor);
+  }
+  if (!this.populated('showtime')) {
+    await this.populate('showtime');
+  }
+  if (status === 'cancelled' && !this.$locals.refundPolicy) {
+    await this.loadRefundPolicy();
+  }
+
+  const Showtime = mongoose.model('Showtime');
+  const showtimeId = this.showtime._id;
+  const from = this.status;
+  let refund = null;
+
+  switch (status) {
+    case 'confirmed':
+      this.confirm();
+      break;
+    case 'cancelled':
+      refund = this.cancel(reason, { override });
+      break;
+    case 'completed':
+      this.complete();
+      break;
+    case 'no_show':
+      this.markAsNoShow();
+      break;
+    default:
+      throw statusTransitionError(`Unknown reservation status: ${status}`);
+  }
+
+  if (from === 'cancelled') {
+    const locked = await Showtime.lockSeats(showtimeId, this.seats, this.getSeatHolder());
+    if (!locked) {
+      throw statusTransitionError('One or more seats have been reserved by someone else');
+    }
+
+    try {
+      await this.save();
+    } catch (error) {
+      await Showtime.unlockSeats(showtimeId, this.seats);
+      throw error;
+    }
+
+    // The booking stands again, so a refund that wasn't paid out is no longer owed
+    await mongoose.model('Refund').updateMany(
+      { reservation: this._id, kind: 'cancellation', status: { $in: ['pending', 'approved'] } },
+      { status: 'rejected', rejectedAt: new Date(), rejectionReason: 'Reservation reinstated' }
+    );
+  } else {
+    await this.save();
+
+    if (status === 'cancelled') {
+      await Showtime.unlockSeats(showtimeId, this.seats);
+    }
+  }
+
+  return { from, to: status, refund };
+};
+
+// Method to cancel reservation, returning the refund evaluation that was applied
+reservationSchema.methods.cancel = function(reason, { override = false } = {}) {
+  this.assertTransition('cancelled', { override });
+
+  const evaluation = this.evaluateRefund();
+  // Nothing to give back if the payment was never captured
+  if (this.paymentDetails.status !== 'captured') {
+    evaluation.refundPercentage = 0;
+    evaluation.refundAmount = 0;
   }
   
   this.status = 'cancelled';
   this.cancellationReason = reason;
   this.cancelledAt = new Date();
-  
-  // Calculate refund amount (example: 90% refund if cancelled more than 24 hours before)
-  const hoursUntilShowtime = (this.showtime.startTime - new Date()) / (1000 * 60 * 60);
-  if (hoursUntilShowtime > 24) {
-    this.refundAmount = this.totalAmount * 0.9; // 90% refund
-  } else if (hoursUntilShowtime > 2) {
-    this.refundAmount = this.totalAmount * 0.5; // 50% refund
-  } else {
-    this.refundAmount = 0; // No refund
+  this.refundAmount = evaluation.refundAmount;
+  this.refundPolicyApplied = {
+    policy: evaluation.policy.id,
+    name: evaluation.policy.name,
+    rule: evaluation.rule,
+    refundPercentage: evaluation.refundPercentage
+  };
+
+  return evaluation;
+};
+
+// Price requested seats from a showtime's seat map
+const priceSeats = (seats, showtime) => seats.map(seat => {
+  const showtimeSeat = showtime.availableSeats.find(s => s.row === seat.row && s.number === seat.number);
+  if (!showtimeSeat) {
+    throw new Error(`Seat ${seat.row}${seat.number} does not exist`);
+  }
+  return {
+    row: showtimeSeat.row,
+    number: showtimeSeat.number,
+    type: showtimeSeat.type,
+    price: showtime.getSeatPrice(seat.row, seat.number)
+  };
+});
+
+// Method to work out the discount on the current seats the way booking does: the best
+// special offer on the showtime, or the booking's promo code if it saves more and the
+// new subtotal still meets its restrictions and minimum spend. Offers are checked as of
+// the booking date; a student offer stays only if it was the one applied.
+// `user` is the customer (for age-based offers) and `promo` the booking's PromoCode.
+reservationSchema.methods.calculateDiscount = function(showtime, { user, promo } = {}) {
+  const subtotal = this.seats.reduce((total, seat) => total + seat.price, 0);
+  const previous = this.discountApplied || {};
+
+  let discount;
+  const offer = showtime.findBestOffer(subtotal, {
+    user,
+    seatCount: this.seats.length,
+    claimStudent: previous.type === 'student',
+    at: this.createdAt || new Date()
+  });
+  if (offer && offer.amount > 0) {
+    discount = { type: offer.type, amount: offer.amount, description: offer.description };
+  }
+
+  if (previous.type === 'promo_code' && promo) {
+    let promoDiscount = 0;
+    try {
+      promo.assertEligible(showtime, subtotal);
+      promoDiscount = promo.calculateDiscount(subtotal);
+    } catch (error) {
+      // No longer eligible, so the promo code stops applying
+    }
+    if (promoDiscount > 0 && (!discount || promoDiscount > discount.amount)) {
+      discount = { type: 'promo_code', amount: promoDiscount, description: previous.description, promoCode: promo._id };
+    }
   }
+
+  return { subtotal, discount };
+};
+
+// Method to recalculate the discount and total for the current seats and return the
+// difference. The difference is not paid or refunded here: see recordPriceCharge and
+// recordPriceRefund. `context` is passed to calculateDiscount.
+reservationSchema.methods.applyPriceDifference = function(showtime, context) {
+  const previousTotal = this.totalAmount;
+  const { subtotal, discount } = this.calculateDiscount(showtime, context);
+
+  this.discountApplied = discount;
+  this.totalAmount = Math.round((subtotal - (discount ? discount.amount : 0)) * 100) / 100;
+
+  return Math.round((this.totalAmount - previousTotal) * 100) / 100;
+};
+
+// Method to list the payments that can still be refunded (the booking payment and
+// any price difference charges), newest first, with what is left on each
+reservationSchema.methods.getRefundablePayments = function() {
+  const payments = [{ transactionId: this.paymentDetails.transactionId, amount: this.paymentDetails.amount }];
+  for (const adjustment of this.priceAdjustments) {
+    if (adjustment.type === 'charge') {
+      payments.push({ transactionId: adjustment.transactionId, amount: adjustment.amount });
+    }
+  }
+
+  for (const adjustment of this.priceAdjustments) {
+    if (adjustment.type !== 'refund') continue;
+    const payment = payments.find(candidate => candidate.transactionId === adjustment.transactionId);
+    if (payment) {
+      payment.amount = Math.round((payment.amount - adjustment.amount) * 100) / 100;
+    }
+  }
+
+  return payments.reverse().filter(payment => payment.amount > 0);
+};
+
+// Method to split a refund across the payments it goes back to, newest first.
+// Never allocates more than was paid. Returns [{ transactionId, amount }].
+reservationSchema.methods.allocateRefund = function(amount) {
+  const parts = [];
+  let remaining = Math.round(amount * 100) / 100;
+
+  for (const payment of this.getRefundablePayments()) {
+    if (remaining <= 0) break;
+    const part = Math.min(payment.amount, remaining);
+    parts.push({ transactionId: payment.transactionId, amount: part });
+    remaining = Math.round((remaining - part) * 100) / 100;
+  }
+
+  return parts;
+};
+
+// Method to record a price difference charged to the customer
+reservationSchema.methods.recordPriceCharge = function(amount, transactionId, reason) {
+  this.priceAdjustments.push({ type: 'charge', amount, transactionId, reason });
+};
+
+// Method to record a price difference owed back to the customer, split across the
+// payments it is refunded to. Returns the parts for Refund.queuePriceAdjustment.
+reservationSchema.methods.recordPriceRefund = function(amount, reason) {
+  const parts = this.allocateRefund(amount);
+  for (const part of parts) {
+    this.priceAdjustments.push({ type: 'refund', amount: part.amount, transactionId: part.transactionId, reason });
+  }
+  return parts;
+};
+
+// Method to replace the reserved seats within the same showtime.
+// Seats kept from the old selection keep the price paid; new seats are priced from the
+// showtime and the discount is worked out again (see calculateDiscount for `context`).
+// Returns the seats added and removed and the resulting price difference.
+reservationSchema.methods.changeSeats = function(seats, showtime, context) {
+  const seatKey = seat => `${seat.row}${seat.number}`;
+  const currentKeys = new Set(this.seats.map(seatKey));
+  const requestedKeys = new Set(seats.map(seatKey));
+
+  const removed = this.seats.filter(seat => !requestedKeys.has(seatKey(seat)));
+  const added = priceSeats(seats.filter(seat => !currentKeys.has(seatKey(seat))), showtime);
+
+  this.seats = this.seats.filter(seat => requestedKeys.has(seatKey(seat))).concat(added);
+  const difference = this.applyPriceDifference(showtime, context);
+
+  if (this.qrCode) {
+    this.issueTicket();
+  }
+
+  this.logEvent('seats_changed', {
+    added: added.map(seatKey),
+    removed: removed.map(seatKey),
+    priceDifference: difference
+  });
+
+  return { added, removed, difference };
+};
+
+// Method to move the reservation to another showtime, keeping the reservation number.
+// The previous showtime and seats are kept in exchangeHistory, and the discount is worked
+// out again against the new showtime's offers (see calculateDiscount for `context`).
+// Returns the seats given up on the old showtime and the resulting price difference.
+reservationSchema.methods.exchangeTo = function(showtime, seats, context) {
+  const newSeats = priceSeats(seats, showtime);
+  const previousSeats = this.seats.map(seat => ({
+    row: seat.row,
+    number: seat.number,
+    type: seat.type,
+    price: seat.price
+  }));
+
+  const previousShowtime = this.showtime._id || this.showtime;
+
+  this.exchangeHistory.push({
+    showtime: previousShowtime,
+    seats: previousSeats,
+    totalAmount: this.totalAmount
+  });
+
+  this.showtime = showtime._id;
+  this.seats = newSeats;
+  const difference = this.applyPriceDifference(showtime, context);
+
+  if (this.qrCode) {
+    this.issueTicket();
+  }
+
+  this.logEvent('exchanged', {
+    fromShowtime: previousShowtime,
+    toShowtime: showtime._id,
+    seats: this.formattedSeats,
+    priceDifference: difference
+  });
+
+  return { released: previousSeats, difference };
 };
 
 // Method to confirm reservation
 reservationSchema.methods.confirm = function() {
+  this.assertTransition('confirmed');
+
+  // Reinstating clears the cancellation
+  if (this.status === 'cancelled') {
+    this.cancellationReason = undefined;
+    this.cancelledAt = undefined;
+    this.refundAmount = undefined;
+    this.refundPolicyApplied = undefined;
+  }
   this.status = 'confirmed';
+  this.paymentExpiresAt = undefined;
+  this.issueTicket();
+};
+
+// Method to issue a new signed ticket code for the QR ticket
+reservationSchema.methods.issueTicket = function() {
+  this.qrCode = signTicket(this);
+  return this.qrCode;
+};
+
+// Method to cancel a reservation whose payment failed (caller releases the seats)
+reservationSchema.methods.failPayment = function(reason) {
+  this.assertTransition('cancelled');
+  this.status = 'cancelled';
+  this.cancellationReason = `Payment failed: ${reason}`;
+  this.cancelledAt = new Date();
+  this.paymentDetails.status = 'failed';
+  this.paymentDetails.failureReason = reason;
 };
 
 // Method to complete reservation (after movie is watched)
 reservationSchema.methods.complete = function() {
+  this.assertTransition('completed');
   this.status = 'completed';
 };
 
 // Method to mark as no-show
 reservationSchema.methods.markAsNoShow = function() {
+  this.assertTransition('no_show');
   this.status = 'no_show';
 };
 
-// Method to check in
-reservationSchema.methods.checkIn = function() {
-  this.checkInTime = new Date();
+// Method to check whether check-in is open (needs populated showtime).
+// Returns null if it is, or { error, message } explaining why not.
+reservationSchema.methods.getCheckInError = function(now = new Date()) {
+  if (this.status !== 'confirmed') {
+    return {
+      error: 'Invalid reservation status',
+      message: 'Only confirmed reservations can be checked in'
+    };
+  }
+
+  // Check-in opens 2 hours before the showtime and closes 30 minutes after it starts
+  const minutesToStart = (new Date(this.showtime.startTime) - now) / (1000 * 60);
+
+  if (minutesToStart > 120) {
+    return {
+      error: 'Too early for check-in',
+      message: 'Check-in is only available 2 hours before showtime'
+    };
+  }
+
+  if (minutesToStart < -30) {
+    return {
+      error: 'Too late for check-in',
+      message: 'Check-in is not available after showtime has started'
+    };
+  }
+
+  return null;
+};
+
+// Method to check in seats, by default every seat not yet checked in.
+// Returns the seats checked in; throws a CheckInError for a seat that isn't
+// on the reservation or was already checked in.
+reservationSchema.methods.checkIn = function(seats, checkedInBy) {
+  if (this.attendance === 'full') {
+    throw checkInError('All seats on this reservation are already checked in');
+  }
+
+  let toCheckIn;
+  if (seats && seats.length > 0) {
+    toCheckIn = seats.map(requested => {
+      const seat = this.seats.find(s => s.row === requested.row && s.number === requested.number);
+      if (!seat) {
+        throw checkInError(`Seat ${requested.row}${requested.number} is not part of this reservation`);
+      }
+      if (seat.checkedInAt) {
+        throw checkInError(`Seat ${seat.row}${seat.number} is already checked in`);
+      }
+      return seat;
+    });
+  } else {
+    toCheckIn = this.seats.filter(seat => !seat.checkedInAt);
+  }
+
+  const now = new Date();
+  for (const seat of toCheckIn) {
+    seat.checkedInAt = now;
+    seat.checkedInBy = checkedInBy;
+  }
+  if (!this.checkInTime) {
+    this.checkInTime = now;
+  }
+
+  this.logEvent('checked_in', {
+    seats: toCheckIn.map(seat => `${seat.row}${seat.number}`).join(', '),
+    attendance: this.attendance
+  });
+
+  return toCheckIn;
+};
+
+// Static method to check if a showtime is far enough away for reservation changes
+reservationSchema.statics.isBeforeEditCutoff = function(startTime) {
+  return new Date(startTime) > new Date(Date.now() + EDIT_CUTOFF_HOURS * 60 * 60 * 1000);
+};
+
+// Static method to get the statuses that count as revenue in reports
+reservationSchema.statics.getRevenueStatuses = function() {
+  return REVENUE_STATUSES;
+};
+
+// Static method to get the configured payment window in milliseconds
+reservationSchema.statics.getPaymentWindowMs = function() {
+  const minutes = parseInt(process.env.PAYMENT_WINDOW_MINUTES) || 15;
+  return minutes * 60 * 1000;
+};
+
+// Static method to find a reservation made without an account by its number and contact email
+reservationSchema.statics.findGuestReservation = function(reservationNumber, email) {
+  return this.findOne({
+    reservationNumber: String(reservationNumber).trim().toUpperCase(),
+    user: null,
+    'contactInfo.email': String(email).trim().toLowerCase()
+  });
+};
+
+// Static method to move the reservations booked without an account under a
+// user's email into that user's account; returns how many were claimed
+reservationSchema.statics.claimGuestReservations = async function(user) {
+  const reservations = await this.find({ user: null, 'contactInfo.email': user.email }).select('_id');
+
+  let claimed = 0;
+  for (const reservation of reservations) {
+    const result = await this.updateOne({ _id: reservation._id, user: null }, { user: user._id });
+    if (result.modifiedCount === 1) {
+      claimed++;
+      await ReservationEvent.record(reservation._id, 'claimed', { actor: user });
+    }
+  }
+
+  return claimed;
+};
+
+// Static method to find an unclaimed gift by its claim code
+reservationSchema.statics.findByGiftClaimCode = function(code) {
+  return this.findOne({ isGift: true, 'gift.claimCode': String(code).trim() })
+    .select('+gift.claimCode');
 };
 
 // Static method to get revenue for a date range
@@ -272,7 +1151,7 @@ reservationSchema.statics.getRevenueForDateRange = function(startDate, endDate)
     {
       $match: {
         createdAt: { $gte: startDate, $lte: endDate },
-        status: { $in: ['confirmed', 'completed'] }
+        status: { $in: REVENUE_STATUSES }
       }
     },
     {
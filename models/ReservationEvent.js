@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Timeline of everything that happened to a reservation. Entries are append-only.
+const reservationEventSchema = new mongoose.Schema({
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation is required']
+  },
+  type: {
+    type: String,
+    enum: [
+      'created',
+      'status_changed',
+      'payment_captured',
+      'payment_pending',
+      'payment_failed',
+      'payment_disputed',
+      'seats_changed',
+      'exchanged',
+      'checked_in',
+      'refund_queued',
+      'refund_approved',
+      'refund_rejected',
+      'refunded',
+      'reminder_sent',
+      'claimed',
+      'gift_sent',
+      'gift_reassigned',
+      'gift_claimed'
+    ],
+    required: [true, 'Event type is required']
+  },
+  // User who caused the event; empty for system and payment provider events
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    default: 'system'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+reservationEventSchema.index({ reservation: 1, createdAt: 1 });
+
+// Pre-save middleware to keep the timeline append-only
+reservationEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Reservation history cannot be modified'));
+  }
+  next();
+});
+
+reservationEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Reservation history cannot be modified'));
+  }
+);
+
+/**
+ * Describe who caused an event
+ * @param {Object|string} actor - User document, or a role such as 'system' or 'payment_provider'
+ * @returns {Object} { actor, actorRole }
+ */
+const describeActor = (actor) => {
+  if (!actor) return { actorRole: 'system' };
+  if (typeof actor === 'string') return { actorRole: actor };
+  return { actor: actor._id, actorRole: actor.role };
+};
+
+// Static method to describe an actor
+reservationEventSchema.statics.describeActor = describeActor;
+
+// Static method to record an event. History must never break the action it
+// describes, so failures are logged rather than thrown.
+reservationEventSchema.statics.record = function(reservationId, type, { actor, data } = {}) {
+  return this.create({
+    reservation: reservationId,
+    type,
+    ...describeActor(actor),
+    data
+  }).catch(error => {
+    console.error('Reservation history error:', error);
+    return null;
+  });
+};
+
+module.exports = mongoose.model('ReservationEvent', reservationEventSchema);
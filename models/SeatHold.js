@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const seatHoldSchema = new mongoose.Schema({
+  showtime: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Showtime',
+    required: [true, 'Showtime is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  seats: [{
+    row: {
+      type: String,
+      required: [true, 'Seat row is required']
+    },
+    number: {
+      type: Number,
+      required: [true, 'Seat number is required']
+    },
+    type: {
+      type: String,
+      enum: ['regular', 'premium', 'vip'],
+      required: [true, 'Seat type is required']
+    },
+    price: {
+      type: Number,
+      required: [true, 'Seat price is required'],
+      min: [0, 'Price cannot be negative']
+    }
+  }],
+  token: {
+    type: String,
+    unique: true,
+    required: [true, 'Hold token is required']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for hold total
+seatHoldSchema.virtual('totalAmount').get(function() {
+  return this.seats.reduce((total, seat) => total + seat.price, 0);
+});
+
+// Virtual to check if hold has run out
+seatHoldSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+// Indexes for better query performance
+seatHoldSchema.index({ status: 1, expiresAt: 1 });
+seatHoldSchema.index({ showtime: 1, status: 1 });
+seatHoldSchema.index({ user: 1, status: 1 });
+
+// Pre-validate middleware to generate hold token
+seatHoldSchema.pre('validate', function(next) {
+  if (this.isNew && !this.token) {
+    this.token = crypto.randomBytes(24).toString('hex');
+  }
+  next();
+});
+
+// Method to give the held seats back to the showtime
+seatHoldSchema.methods.releaseSeats = async function() {
+  const Showtime = mongoose.model('Showtime');
+  await Showtime.unlockSeats(this.showtime, this.seats);
+};
+
+// Static method to get the configured hold duration in milliseconds
+seatHoldSchema.statics.getTtlMs = function() {
+  const minutes = parseInt(process.env.SEAT_HOLD_TTL_MINUTES) || 10;
+  return minutes * 60 * 1000;
+};
+
+module.exports = mongoose.model('SeatHold', seatHoldSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { findBestSeats } = require('../utils/seatSelection');
+
+// Eligibility thresholds for special offers
+const SENIOR_MIN_AGE = 65;
+const GROUP_MIN_SEATS = parseInt(process.env.GROUP_OFFER_MIN_SEATS) || 5;
 
 const showtimeSchema = new mongoose.Schema({
   movie: {
@@ -101,6 +106,11 @@ const showtimeSchema = new mongoose.Schema({
     type: String,
     enum: ['2D', '3D', 'IMAX', 'Dolby Atmos'],
     default: '2D'
+  },
+  // Overrides the theater's refund policy for this showtime
+  refundPolicy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefundPolicy'
   }
 }, {
   timestamps: true,
@@ -233,4 +243,145 @@ showtimeSchema.methods.calculateTotalPrice = function(seats) {
   }, 0);
 };
 
+// Method to suggest the best available seats for a party (see utils/seatSelection)
+showtimeSchema.methods.findBestSeats = function(count, type, limit) {
+  return findBestSeats(this.availableSeats, count, type, limit);
+};
+
+// Method to check whether a special offer applies to a booking.
+// Student offers can't be verified online, so they apply only when claimed (ID is checked at the door).
+showtimeSchema.methods.isOfferEligible = function(offer, { user, seatCount, claimStudent = false, at = new Date() } = {}) {
+  if (offer.validUntil && at > offer.validUntil) {
+    return false;
+  }
+
+  switch (offer.type) {
+    case 'early_bird':
+      return true;
+    case 'senior':
+      return Boolean(user && user.age !== null && user.age >= SENIOR_MIN_AGE);
+    case 'group':
+      return seatCount >= GROUP_MIN_SEATS;
+    case 'student':
+      return claimStudent;
+    default:
+      return false;
+  }
+};
+
+// Method to pick the special offer giving the largest discount on a subtotal.
+// Returns { type, discount, amount, description } or null if nothing applies.
+showtimeSchema.methods.findBestOffer = function(subtotal, context = {}) {
+  let best = null;
+
+  for (const offer of this.specialOffers) {
+    if (!this.isOfferEligible(offer, context)) continue;
+
+    const amount = Math.round(subtotal * offer.discount) / 100;
+    if (!best || amount > best.amount) {
+      best = {
+        type: offer.type,
+        discount: offer.discount,
+        amount,
+        description: offer.description
+      };
+    }
+  }
+
+  return best;
+};
+
+// Static method to get the IDs of every showtime at the given theaters
+showtimeSchema.statics.findIdsForTheaters = function(theaterIds) {
+  return this.find({ theater: { $in: theaterIds } }).distinct('_id');
+};
+
+// Build array filters that address each requested seat by row and number
+const seatArrayFilters = (seats) => seats.map((seat, index) => ({
+  [`seat${index}.row`]: seat.row,
+  [`seat${index}.number`]: seat.number
+}));
+
+// Build a $set that flips the availability flag of each requested seat
+const seatAvailabilityUpdate = (seats, isAvailable) => seats.reduce((update, seat, index) => {
+  update[`availableSeats.$[seat${index}].isAvailable`] = isAvailable;
+  return update;
+}, {});
+
+// Static method to atomically lock seats, only if every one of them is still available.
+// When reservedBy is given the seats are also recorded as reserved in the same write.
+// Returns true if the seats were locked, false if any seat was already taken.
+showtimeSchema.statics.lockSeats = async function(showtimeId, seats, reservedBy) {
+  const filter = {
+    _id: showtimeId,
+    availableSeats: {
+      $all: seats.map(seat => ({
+        $elemMatch: { row: seat.row, number: seat.number, isAvailable: true }
+      }))
+    }
+  };
+
+  const update = { $set: seatAvailabilityUpdate(seats, false) };
+  if (reservedBy) {
+    update.$push = {
+      reservedSeats: {
+        $each: seats.map(seat => ({
+          row: seat.row,
+          number: seat.number,
+          reservedBy,
+          reservedAt: new Date()
+        }))
+      }
+    };
+  }
+
+  const result = await this.updateOne(filter, update, { arrayFilters: seatArrayFilters(seats) });
+  return result.modifiedCount === 1;
+};
+
+// Static method to atomically unlock seats and drop any reservation records for them
+showtimeSchema.statics.unlockSeats = async function(showtimeId, seats) {
+  await this.updateOne(
+    { _id: showtimeId },
+    {
+      $set: seatAvailabilityUpdate(seats, true),
+      $pull: {
+        reservedSeats: { $or: seats.map(seat => ({ row: seat.row, number: seat.number })) }
+      }
+    },
+    { arrayFilters: seatArrayFilters(seats) }
+  );
+};
+
+// Static method to record already-locked seats (e.g. from a seat hold) as reserved
+showtimeSchema.statics.markSeatsReserved = async function(showtimeId, seats, reservedBy) {
+  await this.updateOne(
+    { _id: showtimeId },
+    {
+      $push: {
+        reservedSeats: {
+          $each: seats.map(seat => ({
+            row: seat.row,
+            number: seat.number,
+            reservedBy,
+            reservedAt: new Date()
+          }))
+        }
+      }
+    }
+  );
+};
+
+// Static method to drop reservation records while leaving the seats locked
+showtimeSchema.statics.unmarkSeatsReserved = async function(showtimeId, seats) {
+  await this.updateOne(
+    { _id: showtimeId },
+    {
+      $pull: {
+        reservedSeats: { $or: seats.map(seat => ({ row: seat.row, number: seat.number })) }
+      }
+    }
+  );
+};
+
 module.exports = mongoose.model('Showtime', showtimeSchema);
@@ -95,6 +95,10 @@ const theaterSchema = new mongoose.Schema({
       default: 2.0,
       min: [0.1, 'Price multiplier must be at least 0.1']
     }
+  },
+  refundPolicy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefundPolicy'
   }
 }, {
   timestamps: true,
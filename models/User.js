@@ -37,9 +37,16 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    // Staff roles: usher (check-in), box_office (check-in and walk-in sales),
+    // theater_manager (box office plus theater operations)
+    enum: ['user', 'admin', 'usher', 'box_office', 'theater_manager'],
     default: 'user'
   },
+  // Theaters a theater_manager is responsible for
+  theaters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater'
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -105,6 +112,20 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check whether the user manages a theater (admins manage every theater)
+userSchema.methods.managesTheater = function(theaterId) {
+  if (this.role === 'admin') return true;
+  if (this.role !== 'theater_manager' || !theaterId) return false;
+
+  const id = (theaterId._id || theaterId).toString();
+  return this.theaters.some(theater => theater.toString() === id);
+};
+
+// Method to get the theaters the user's management is limited to (null means all)
+userSchema.methods.getManagedTheaters = function() {
+  return this.role === 'admin' ? null : this.theaters;
+};
+
 // Remove sensitive data when converting to JSON
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
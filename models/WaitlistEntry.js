@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  showtime: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Showtime',
+    required: [true, 'Showtime is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  seatCount: {
+    type: Number,
+    required: [true, 'Seat count is required'],
+    min: [1, 'Seat count must be at least 1'],
+    max: [10, 'Seat count cannot exceed 10']
+  },
+  seatType: {
+    type: String,
+    enum: ['regular', 'premium', 'vip'],
+    default: 'regular'
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  hold: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SeatHold'
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual to check if entry is still in the queue
+waitlistEntrySchema.virtual('isOpen').get(function() {
+  return this.status === 'waiting' || this.status === 'offered';
+});
+
+// Indexes for better query performance
+waitlistEntrySchema.index({ showtime: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, status: 1 });
+waitlistEntrySchema.index({ hold: 1 });
+
+// One open entry per user per showtime
+waitlistEntrySchema.index(
+  { showtime: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+// Method to get position among entries still waiting (1-based)
+waitlistEntrySchema.methods.getPosition = async function() {
+  if (this.status !== 'waiting') return null;
+
+  const ahead = await this.constructor.countDocuments({
+    showtime: this.showtime,
+    status: 'waiting',
+    createdAt: { $lt: this.createdAt }
+  });
+  return ahead + 1;
+};
+
+// Static method to get the configured claim window in milliseconds
+waitlistEntrySchema.statics.getClaimWindowMs = function() {
+  const minutes = parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 15;
+  return minutes * 60 * 1000;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -7,6 +7,7 @@ const {
   validateUserRegistration, 
   validateUserLogin, 
   validateUserUpdate,
+  validateTheaterAssignment,
   validateObjectId 
 } = require('../middleware/validation');
 
@@ -28,5 +29,12 @@ router.put('/users/:userId/role',
   validateObjectId('userId'), 
   authController.updateUserRole
 );
+router.put('/users/:userId/theaters',
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('userId'),
+  validateTheaterAssignment,
+  authController.updateUserTheaters
+);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+
+const boxOfficeController = require('../controllers/boxOfficeController');
+const { authenticateToken, requireBoxOffice } = require('../middleware/auth');
+const {
+  validateWalkInSale,
+  validateDrawerQuery,
+  validateDateRange,
+  validateObjectId
+} = require('../middleware/validation');
+
+// Box office staff routes
+router.post('/sales', authenticateToken, requireBoxOffice, validateWalkInSale, boxOfficeController.createSale);
+router.get('/sales/:id/receipt', authenticateToken, requireBoxOffice, validateObjectId('id'), boxOfficeController.getSaleReceipt);
+router.get('/drawer', authenticateToken, requireBoxOffice, validateDrawerQuery, validateDateRange, boxOfficeController.getDrawerReport);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const checkinController = require('../controllers/checkinController');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+const { validateTicketScan } = require('../middleware/validation');
+
+// Staff routes
+router.post('/scan', authenticateToken, requireStaff, validateTicketScan, checkinController.scanTicket);
+
+module.exports = router;
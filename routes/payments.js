@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+
+const paymentController = require('../controllers/paymentController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  validatePaymentEventQuery,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
+
+// Provider callbacks (authenticated by signature, not by token)
+router.post('/webhook', paymentController.handleWebhook);
+
+// Admin routes
+router.get('/events',
+  authenticateToken,
+  requireAdmin,
+  validatePagination,
+  validatePaymentEventQuery,
+  paymentController.getPaymentEvents
+);
+router.get('/events/:id', authenticateToken, requireAdmin, validateObjectId('id'), paymentController.getPaymentEventById);
+router.post('/events/:id/replay',
+  authenticateToken,
+  requireAdmin,
+  idempotent,
+  validateObjectId('id'),
+  paymentController.replayPaymentEvent
+);
+
+module.exports = router;
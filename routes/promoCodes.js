@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+const promoCodeController = require('../controllers/promoCodeController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  validatePromoCode,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
+
+// Admin routes
+router.get('/', authenticateToken, requireAdmin, validatePagination, promoCodeController.getAllPromoCodes);
+router.get('/:id', authenticateToken, requireAdmin, validateObjectId('id'), promoCodeController.getPromoCodeById);
+router.post('/', authenticateToken, requireAdmin, validatePromoCode, promoCodeController.createPromoCode);
+router.put('/:id',
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('id'),
+  validatePromoCode,
+  promoCodeController.updatePromoCode
+);
+router.delete('/:id',
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('id'),
+  promoCodeController.deletePromoCode
+);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+const refundPolicyController = require('../controllers/refundPolicyController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  validateRefundPolicy,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
+
+// Admin routes
+router.get('/', authenticateToken, requireAdmin, validatePagination, refundPolicyController.getAllRefundPolicies);
+router.get('/:id', authenticateToken, requireAdmin, validateObjectId('id'), refundPolicyController.getRefundPolicyById);
+router.post('/', authenticateToken, requireAdmin, validateRefundPolicy, refundPolicyController.createRefundPolicy);
+router.put('/:id',
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('id'),
+  validateRefundPolicy,
+  refundPolicyController.updateRefundPolicy
+);
+router.delete('/:id',
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('id'),
+  refundPolicyController.deleteRefundPolicy
+);
+
+module.exports = router;
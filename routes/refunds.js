@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+
+const refundController = require('../controllers/refundController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  validateRefundQuery,
+  validateRefundRejection,
+  validateRefundProcessing,
+  validateObjectId,
+  validatePagination,
+  validateDateRange
+} = require('../middleware/validation');
+
+// Admin routes
+router.get('/', authenticateToken, requireAdmin, validatePagination, validateRefundQuery, refundController.getAllRefunds);
+router.get('/ledger',
+  authenticateToken,
+  requireAdmin,
+  validatePagination,
+  validateDateRange,
+  validateRefundQuery,
+  refundController.getRefundLedger
+);
+router.get('/:id', authenticateToken, requireAdmin, validateObjectId('id'), refundController.getRefundById);
+router.put('/:id/approve', authenticateToken, requireAdmin, validateObjectId('id'), refundController.approveRefund);
+router.put('/:id/reject',
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('id'),
+  validateRefundRejection,
+  refundController.rejectRefund
+);
+router.put('/:id/process',
+  authenticateToken,
+  requireAdmin,
+  idempotent,
+  validateObjectId('id'),
+  validateRefundProcessing,
+  refundController.processRefund
+);
+
+module.exports = router;
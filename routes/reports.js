@@ -2,15 +2,18 @@ const express = require('express');
 const router = express.Router();
 
 const reportController = require('../controllers/reportController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireManager } = require('../middleware/auth');
 const { validateDateRange } = require('../middleware/validation');
 
-// Admin-only routes for reports
+// Admin-only routes for reports (theater managers get their own theaters'
+// performance and reservation status)
 router.get('/revenue', authenticateToken, requireAdmin, validateDateRange, reportController.getRevenueReport);
 router.get('/popular-movies', authenticateToken, requireAdmin, validateDateRange, reportController.getPopularMoviesReport);
-router.get('/theater-performance', authenticateToken, requireAdmin, validateDateRange, reportController.getTheaterPerformanceReport);
+router.get('/theater-performance', authenticateToken, requireManager, validateDateRange, reportController.getTheaterPerformanceReport);
 router.get('/user-demographics', authenticateToken, requireAdmin, reportController.getUserDemographicsReport);
-router.get('/reservation-status', authenticateToken, requireAdmin, validateDateRange, reportController.getReservationStatusReport);
+router.get('/reservation-status', authenticateToken, requireManager, validateDateRange, reportController.getReservationStatusReport);
+router.get('/promo-codes', authenticateToken, requireAdmin, validateDateRange, reportController.getPromoCodeReport);
+router.get('/refunds', authenticateToken, requireAdmin, validateDateRange, reportController.getRefundReport);
 router.get('/dashboard', authenticateToken, requireAdmin, reportController.getDashboardAnalytics);
 
 module.exports = router;
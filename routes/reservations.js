@@ -1,24 +1,94 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 
 const reservationController = require('../controllers/reservationController');
-const { authenticateToken, requireAdmin, requireReservationAccess } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireStaff,
+  requireManager,
+  requireTheaterAccess,
+  theaterOfReservation,
+  requireReservationAccess,
+  requireGuestAccess,
+  authenticateIfPresent
+} = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { 
   validateReservation, 
+  validateSeatChange,
+  validateExchange,
+  validateTicketFormat,
+  validateCheckIn,
+  validateGuestLookup,
+  validateReservationClaim,
+  validateGiftReassignment,
+  validateGiftCode,
+  validateGiftClaim,
   validateObjectId, 
   validatePagination,
   validateDateRange 
 } = require('../middleware/validation');
 
-// User routes
-router.post('/', authenticateToken, validateReservation, reservationController.createReservation);
+// Guest lookups get a tighter limit so reservation numbers can't be guessed
+const guestLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 lookups per windowMs
+  message: 'Too many reservation lookups from this IP, please try again later.'
+});
+
+// User routes (booking without a token is a guest checkout)
+router.post('/', authenticateIfPresent, idempotent, validateReservation, reservationController.createReservation);
+router.post('/claim', authenticateToken, validateReservationClaim, reservationController.claimGuestReservations);
 router.get('/my-reservations', authenticateToken, validatePagination, reservationController.getUserReservations);
 router.get('/:id', authenticateToken, validateObjectId('id'), requireReservationAccess, reservationController.getReservationById);
-router.put('/:id/cancel', authenticateToken, validateObjectId('id'), requireReservationAccess, reservationController.cancelReservation);
-router.put('/:id/checkin', authenticateToken, validateObjectId('id'), requireReservationAccess, reservationController.checkInReservation);
+router.get('/:id/ticket', authenticateToken, validateObjectId('id'), requireReservationAccess, validateTicketFormat, reservationController.getReservationTicket);
+router.get('/:id/history', authenticateToken, validateObjectId('id'), requireReservationAccess, reservationController.getReservationHistory);
+router.put('/:id/cancel',
+  authenticateToken,
+  idempotent,
+  validateObjectId('id'),
+  requireReservationAccess,
+  reservationController.cancelReservation
+);
+router.put('/:id/seats', authenticateToken, validateObjectId('id'), requireReservationAccess, validateSeatChange, reservationController.changeReservationSeats);
+router.put('/:id/exchange', authenticateToken, validateObjectId('id'), requireReservationAccess, validateExchange, reservationController.exchangeReservation);
+router.put('/:id/gift', authenticateToken, validateObjectId('id'), requireReservationAccess, validateGiftReassignment, reservationController.reassignGift);
+
+// Guest routes (reservation number and contact email instead of a token)
+router.post('/guest/lookup', guestLookupLimiter, validateGuestLookup, requireGuestAccess, reservationController.getReservationById);
+router.post('/guest/ticket', guestLookupLimiter, validateGuestLookup, validateTicketFormat, requireGuestAccess, reservationController.getReservationTicket);
+router.post('/guest/gift', guestLookupLimiter, validateGuestLookup, validateGiftReassignment, requireGuestAccess, reservationController.reassignGift);
+router.post('/guest/cancel',
+  guestLookupLimiter,
+  idempotent,
+  validateGuestLookup,
+  requireGuestAccess,
+  reservationController.cancelReservation
+);
+
+// Gift recipient routes (the claim code is the credential; logged-in recipients claim into their account)
+router.post('/gifts/preview', guestLookupLimiter, validateGiftCode, reservationController.previewGift);
+router.post('/gifts/claim', guestLookupLimiter, authenticateIfPresent, validateGiftClaim, reservationController.claimGift);
+
+// Staff routes
+router.put('/:id/checkin',
+  authenticateToken,
+  requireStaff,
+  validateObjectId('id'),
+  requireTheaterAccess(theaterOfReservation()),
+  validateCheckIn,
+  reservationController.checkInReservation
+);
 
-// Admin routes
-router.get('/', authenticateToken, requireAdmin, validatePagination, validateDateRange, reservationController.getAllReservations);
-router.put('/:id/status', authenticateToken, requireAdmin, validateObjectId('id'), reservationController.updateReservationStatus);
+// Manager routes (theater managers only see and change their own theaters' reservations)
+router.get('/', authenticateToken, requireManager, validatePagination, validateDateRange, reservationController.getAllReservations);
+router.put('/:id/status',
+  authenticateToken,
+  requireManager,
+  validateObjectId('id'),
+  requireTheaterAccess(theaterOfReservation()),
+  reservationController.updateReservationStatus
+);
 
 module.exports = router;
@@ -2,9 +2,25 @@ const express = require('express');
 const router = express.Router();
 
 const showtimeController = require('../controllers/showtimeController');
-const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
+const refundPolicyController = require('../controllers/refundPolicyController');
+const seatHoldController = require('../controllers/seatHoldController');
+const waitlistController = require('../controllers/waitlistController');
+const {
+  authenticateToken,
+  requireAdmin,
+  requireStaff,
+  requireManager,
+  requireTheaterAccess,
+  theaterFromBody,
+  theaterOfShowtime,
+  optionalAuth
+} = require('../middleware/auth');
 const { 
   validateShowtime, 
+  validateSeatHold,
+  validateWaitlistJoin,
+  validateBestSeatsQuery,
+  validateRefundPolicyAttachment,
   validateObjectId, 
   validatePagination 
 } = require('../middleware/validation');
@@ -14,21 +30,59 @@ router.get('/', validatePagination, showtimeController.getAllShowtimes);
 router.get('/movie/:movieId', validateObjectId('movieId'), validatePagination, showtimeController.getShowtimesByMovie);
 router.get('/:id', validateObjectId('id'), showtimeController.getShowtimeById);
 router.get('/:id/seats', validateObjectId('id'), showtimeController.getAvailableSeats);
+router.get('/:id/best-seats', validateObjectId('id'), validateBestSeatsQuery, showtimeController.getBestSeats);
 
-// Admin routes
-router.post('/', authenticateToken, requireAdmin, validateShowtime, showtimeController.createShowtime);
+// Seat hold routes
+router.post('/:id/holds', authenticateToken, validateObjectId('id'), validateSeatHold, seatHoldController.createSeatHold);
+router.get('/:id/holds/:token', authenticateToken, validateObjectId('id'), seatHoldController.getSeatHold);
+router.delete('/:id/holds/:token', authenticateToken, validateObjectId('id'), seatHoldController.releaseSeatHold);
+
+// Waitlist routes
+router.post('/:id/waitlist', authenticateToken, validateObjectId('id'), validateWaitlistJoin, waitlistController.joinWaitlist);
+router.get('/:id/waitlist', authenticateToken, validateObjectId('id'), waitlistController.getWaitlist);
+router.delete('/:id/waitlist', authenticateToken, validateObjectId('id'), waitlistController.leaveWaitlist);
+
+// Staff routes
+router.get('/:id/reservations',
+  authenticateToken,
+  requireStaff,
+  validateObjectId('id'),
+  requireTheaterAccess(theaterOfShowtime()),
+  showtimeController.getShowtimeReservations
+);
+
+// Manager routes (theater managers only for their own theaters)
+router.post('/',
+  authenticateToken,
+  requireManager,
+  validateShowtime,
+  requireTheaterAccess(theaterFromBody()),
+  showtimeController.createShowtime
+);
 router.put('/:id', 
   authenticateToken, 
-  requireAdmin, 
+  requireManager, 
   validateObjectId('id'), 
   validateShowtime, 
+  requireTheaterAccess(theaterOfShowtime()),
+  requireTheaterAccess(theaterFromBody()),
   showtimeController.updateShowtime
 );
 router.delete('/:id', 
   authenticateToken, 
-  requireAdmin, 
+  requireManager, 
   validateObjectId('id'), 
+  requireTheaterAccess(theaterOfShowtime()),
   showtimeController.deleteShowtime
 );
 
+// Admin routes
+router.put('/:id/refund-policy',
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('id'),
+  validateRefundPolicyAttachment,
+  refundPolicyController.attachToShowtime
+);
+
 module.exports = router;
@@ -2,9 +2,11 @@ const express = require('express');
 const router = express.Router();
 
 const theaterController = require('../controllers/theaterController');
+const refundPolicyController = require('../controllers/refundPolicyController');
 const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
 const { 
   validateTheater, 
+  validateRefundPolicyAttachment,
   validateObjectId, 
   validatePagination 
 } = require('../middleware/validation');
@@ -30,5 +32,12 @@ router.delete('/:id',
   validateObjectId('id'), 
   theaterController.deleteTheater
 );
+router.put('/:id/refund-policy',
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('id'),
+  validateRefundPolicyAttachment,
+  refundPolicyController.attachToTheater
+);
 
 module.exports = router;
@@ -13,6 +13,15 @@ const theaterRoutes = require('./routes/theaters');
 const showtimeRoutes = require('./routes/showtimes');
 const reservationRoutes = require('./routes/reservations');
 const reportRoutes = require('./routes/reports');
+const promoCodeRoutes = require('./routes/promoCodes');
+const refundPolicyRoutes = require('./routes/refundPolicies');
+const refundRoutes = require('./routes/refunds');
+const paymentRoutes = require('./routes/payments');
+const checkinRoutes = require('./routes/checkin');
+const boxOfficeRoutes = require('./routes/boxOffice');
+
+// Import background jobs
+const { startJobs } = require('./jobs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,7 +34,9 @@ app.use(cors());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Payment provider callbacks all come from a few provider IPs and are signed
+  skip: (req) => req.method === 'POST' && req.path === '/payments/webhook'
 });
 app.use('/api/', limiter);
 
@@ -33,12 +44,21 @@ app.use('/api/', limiter);
 app.use(morgan('combined'));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so payment webhook signatures can be verified
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/movie-reservation-system')
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  startJobs();
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
@@ -48,6 +68,12 @@ app.use('/api/theaters', theaterRoutes);
 app.use('/api/showtimes', showtimeRoutes);
 app.use('/api/reservations', reservationRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/refund-policies', refundPolicyRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/checkin', checkinRoutes);
+app.use('/api/box-office', boxOfficeRoutes);
 
 // API info endpoint
 app.get('/api', (req, res) => {
@@ -60,7 +86,13 @@ app.get('/api', (req, res) => {
       theaters: '/api/theaters',
       showtimes: '/api/showtimes',
       reservations: '/api/reservations',
-      reports: '/api/reports'
+      reports: '/api/reports',
+      promoCodes: '/api/promo-codes',
+      refundPolicies: '/api/refund-policies',
+      refunds: '/api/refunds',
+      payments: '/api/payments',
+      checkin: '/api/checkin',
+      boxOffice: '/api/box-office'
     },
     documentation: 'Import the Postman collection to test all endpoints'
   });
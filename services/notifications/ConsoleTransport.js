@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+const NotificationTransport = require('./NotificationTransport');
+
+/**
+ * Local transport that prints messages to the console instead of sending them
+ */
+class ConsoleTransport extends NotificationTransport {
+  constructor() {
+    super('console');
+  }
+
+  async send({ channel, to, subject, text }) {
+    const messageId = `console_${crypto.randomBytes(8).toString('hex')}`;
+    console.log(`Notification (${channel}) to ${to}${subject ? ` - ${subject}` : ''}\n${text}`);
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
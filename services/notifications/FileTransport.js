@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const NotificationTransport = require('./NotificationTransport');
+
+/**
+ * Local transport that appends each message as a line of JSON to a file,
+ * so messages can be inspected without an email or SMS account
+ */
+class FileTransport extends NotificationTransport {
+  /**
+   * @param {string} filePath - File to append messages to
+   */
+  constructor(filePath = process.env.NOTIFICATION_LOG_FILE || 'logs/notifications.log') {
+    super('file');
+    this.filePath = filePath;
+  }
+
+  async send(message) {
+    const messageId = `file_${crypto.randomBytes(8).toString('hex')}`;
+    const entry = { messageId, sentAt: new Date().toISOString(), ...message };
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+
+    return { messageId };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,24 @@
+/**
+ * Base class for notification transports. A transport delivers one rendered
+ * message over one channel and resolves once it has been handed off;
+ * a thrown error means the message was not sent.
+ */
+class NotificationTransport {
+  /**
+   * @param {string} name - Transport name
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { channel: 'email'|'sms', to, subject, text }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(message) {
+    throw new Error(`${this.name} does not implement send`);
+  }
+}
+
+module.exports = NotificationTransport;
@@ -0,0 +1,51 @@
+const ConsoleTransport = require('./ConsoleTransport');
+const FileTransport = require('./FileTransport');
+
+// Transport factories by name; NOTIFICATION_TRANSPORT picks one (default: console)
+const transportFactories = {
+  console: () => new ConsoleTransport(),
+  file: () => new FileTransport()
+};
+
+let activeTransport = null;
+
+/**
+ * Register a notification transport so it can be selected with NOTIFICATION_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} factory - Returns a NotificationTransport instance
+ */
+const registerNotificationTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  if (activeTransport && activeTransport.name === name) {
+    activeTransport = null;
+  }
+};
+
+/**
+ * Get the configured notification transport
+ * @returns {NotificationTransport} Transport instance
+ */
+const getNotificationTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.NOTIFICATION_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown notification transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send a message through the configured transport
+ * @param {Object} message - { channel: 'email'|'sms', to, subject, text }
+ * @returns {Promise<Object>} { messageId }
+ */
+const sendNotification = (message) => getNotificationTransport().send(message);
+
+module.exports = {
+  registerNotificationTransport,
+  getNotificationTransport,
+  sendNotification
+};
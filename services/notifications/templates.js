@@ -0,0 +1,114 @@
+const { formatCurrency, formatDateTime } = require('../../utils/helpers');
+
+/**
+ * Render a showtime reminder for a reservation
+ * @param {Object} reservation - Reservation with showtime, movie and theater populated
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {Object} { subject, text }
+ */
+const renderShowtimeReminder = (reservation, channel) => {
+  const { showtime } = reservation;
+  const title = showtime.movie ? showtime.movie.title : 'your movie';
+  const theater = showtime.theater ? showtime.theater.name : 'the theater';
+  const startsAt = formatDateTime(showtime.startTime);
+
+  if (channel === 'sms') {
+    return {
+      text: `Reminder: ${title} at ${theater}, ${startsAt}. Seats ${reservation.formattedSeats}. Ref ${reservation.reservationNumber}`
+    };
+  }
+
+  return {
+    subject: `Reminder: ${title} on ${startsAt}`,
+    text: [
+      `Your showing of ${title} is coming up.`,
+      '',
+      `Theater: ${theater}`,
+      `Starts: ${startsAt}`,
+      `Seats: ${reservation.formattedSeats}`,
+      `Reservation number: ${reservation.reservationNumber}`,
+      '',
+      'Please arrive early to check in.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Render the notice sent when an unpaid reservation expires
+ * @param {Object} reservation - Reservation document
+ * @returns {Object} { subject, text }
+ */
+const renderPaymentExpired = (reservation) => ({
+  subject: `Reservation ${reservation.reservationNumber} expired`,
+  text: [
+    `We didn't receive payment for reservation ${reservation.reservationNumber} in time, so it has been cancelled and the seats (${reservation.formattedSeats}) released.`,
+    `Amount due was ${formatCurrency(reservation.totalAmount, reservation.paymentDetails.currency)}.`,
+    '',
+    'You are welcome to book again if seats are still available.'
+  ].join('\n')
+});
+
+/**
+ * Render the offer sent when seats are held for a waitlisted user
+ * @param {Object} showtime - Showtime with movie and theater populated
+ * @param {Object} hold - SeatHold holding the offered seats
+ * @param {Object} user - User the seats are offered to
+ * @returns {Object} { subject, text }
+ */
+const renderWaitlistOffer = (showtime, hold, user) => {
+  const title = showtime.movie && showtime.movie.title ? showtime.movie.title : 'your movie';
+  const theater = showtime.theater && showtime.theater.name ? showtime.theater.name : 'the theater';
+  const seats = hold.seats.map(seat => `${seat.row}${seat.number}`).join(', ');
+
+  return {
+    subject: `Seats available for ${title}`,
+    text: [
+      `Hi ${user.firstName}, seats have opened up for ${title} and we are holding them for you.`,
+      '',
+      `Theater: ${theater}`,
+      `Starts: ${formatDateTime(showtime.startTime)}`,
+      `Seats: ${seats}`,
+      '',
+      `Book them with hold token ${hold.token} before ${formatDateTime(hold.expiresAt)}, after which they are offered to the next person on the waitlist.`
+    ].join('\n')
+  };
+};
+
+/**
+ * Render the email that sends a gift to its recipient. Prices are left out.
+ * @param {Object} reservation - Reservation with showtime, movie, theater and gift.purchaser populated
+ * @param {string} claimCode - Code the recipient claims the gift with
+ * @returns {Object} { subject, text }
+ */
+const renderGiftClaim = (reservation, claimCode) => {
+  const { showtime, gift } = reservation;
+  const title = showtime.movie ? showtime.movie.title : 'a movie';
+  const theater = showtime.theater ? showtime.theater.name : 'the theater';
+  const from = gift.purchaser && gift.purchaser.firstName
+    ? `${gift.purchaser.firstName} ${gift.purchaser.lastName}`
+    : 'Someone';
+  const claimUrl = process.env.GIFT_CLAIM_URL;
+
+  return {
+    subject: `${from} sent you tickets to ${title}`,
+    text: [
+      `${gift.recipientName ? `Hi ${gift.recipientName}, ` : ''}${from} has sent you tickets to ${title}.`,
+      ...(reservation.giftMessage ? ['', `"${reservation.giftMessage}"`] : []),
+      '',
+      `Theater: ${theater}`,
+      `Starts: ${formatDateTime(showtime.startTime)}`,
+      `Seats: ${reservation.formattedSeats}`,
+      '',
+      claimUrl
+        ? `Claim your tickets: ${claimUrl}?code=${claimCode}`
+        : `Claim your tickets with this code: ${claimCode}`
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  renderShowtimeReminder,
+  renderPaymentExpired,
+  renderWaitlistOffer,
+  renderGiftClaim
+};
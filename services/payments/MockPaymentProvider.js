@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+// Tokens that make the mock provider fail on purpose
+const MOCK_TOKENS = {
+  DECLINED: 'tok_declined',
+  ASYNC: 'tok_async',
+  CAPTURE_FAILS: 'tok_capture_fails',
+  REFUND_FAILS: 'tok_refund_fails'
+};
+
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Local payment provider for development and tests. Payments are kept in
+ * memory and always succeed unless one of MOCK_TOKENS is used. ASYNC captures
+ * stay pending until a payment.succeeded or payment.failed webhook is sent.
+ */
+class MockPaymentProvider extends PaymentProvider {
+  constructor() {
+    super('mock');
+    this.authorizations = new Map();
+    this.transactions = new Map();
+  }
+
+  async authorize({ amount, currency, method, token }) {
+    if (token === MOCK_TOKENS.DECLINED) {
+      return { success: false, message: 'Card declined' };
+    }
+
+    const authorizationId = generateId('mock_auth');
+    this.authorizations.set(authorizationId, { amount, currency, method, token, status: 'authorized' });
+
+    return { success: true, authorizationId };
+  }
+
+  async capture(authorizationId, amount) {
+    const authorization = this.authorizations.get(authorizationId);
+    if (!authorization || authorization.status !== 'authorized') {
+      return { success: false, message: 'Authorization not found or already used' };
+    }
+
+    if (authorization.token === MOCK_TOKENS.CAPTURE_FAILS) {
+      return { success: false, message: 'Capture failed' };
+    }
+
+    if (amount > authorization.amount) {
+      return { success: false, message: 'Capture amount exceeds authorized amount' };
+    }
+
+    authorization.status = 'captured';
+    const transactionId = generateId('mock_txn');
+    this.transactions.set(transactionId, { amount, token: authorization.token, refunded: 0 });
+
+    if (authorization.token === MOCK_TOKENS.ASYNC) {
+      return { success: true, pending: true, transactionId };
+    }
+
+    return { success: true, transactionId };
+  }
+
+  async void(authorizationId) {
+    const authorization = this.authorizations.get(authorizationId);
+    if (!authorization || authorization.status !== 'authorized') {
+      return { success: false, message: 'Authorization not found or already used' };
+    }
+
+    authorization.status = 'voided';
+    return { success: true };
+  }
+
+  async refund(transactionId, amount) {
+    const transaction = this.transactions.get(transactionId);
+
+    // Transactions from before a restart are unknown; refund them anyway
+    if (transaction) {
+      if (transaction.token === MOCK_TOKENS.REFUND_FAILS) {
+        return { success: false, message: 'Refund failed' };
+      }
+
+      if (transaction.refunded + amount > transaction.amount) {
+        return { success: false, message: 'Refund exceeds captured amount' };
+      }
+
+      transaction.refunded += amount;
+    }
+
+    return { success: true, refundId: generateId('mock_rf') };
+  }
+}
+
+MockPaymentProvider.MOCK_TOKENS = MOCK_TOKENS;
+
+module.exports = MockPaymentProvider;
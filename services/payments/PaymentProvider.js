@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// Webhooks older than this are rejected so captured requests can't be replayed
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+/**
+ * Sign a webhook body the way providers are expected to
+ * @param {string|Buffer} rawBody - Raw request body
+ * @param {string} secret - Shared webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} Signature header value (t=<timestamp>,v1=<hmac>)
+ */
+const signWebhook = (rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Base class for payment providers. Providers implement each operation and
+ * resolve with a result object; `success: false` means the provider declined
+ * the operation, while a thrown error means it could not be reached.
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name stored on reservations
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Reserve funds for a payment
+   * @param {Object} payment - { amount, currency, method, token, reference }
+   * @returns {Promise<Object>} { success, authorizationId, message }
+   */
+  async authorize(payment) {
+    throw new Error(`${this.name} does not implement authorize`);
+  }
+
+  /**
+   * Collect previously authorized funds
+   * @param {string} authorizationId - ID returned by authorize
+   * @param {number} amount - Amount to capture
+   * @returns {Promise<Object>} { success, pending, transactionId, message }
+   * (pending: the capture is confirmed later by webhook)
+   */
+  async capture(authorizationId, amount) {
+    throw new Error(`${this.name} does not implement capture`);
+  }
+
+  /**
+   * Cancel an authorization that was not captured
+   * @param {string} authorizationId - ID returned by authorize
+   * @returns {Promise<Object>} { success, message }
+   */
+  async void(authorizationId) {
+    throw new Error(`${this.name} does not implement void`);
+  }
+
+  /**
+   * Return captured funds to the customer
+   * @param {string} transactionId - ID returned by capture
+   * @param {number} amount - Amount to refund
+   * @returns {Promise<Object>} { success, refundId, message }
+   */
+  async refund(transactionId, amount) {
+    throw new Error(`${this.name} does not implement refund`);
+  }
+
+  /**
+   * Verify and parse an inbound webhook. The default implementation checks an
+   * HMAC-SHA256 `X-Payment-Signature` header signed with PAYMENT_WEBHOOK_SECRET
+   * and expects a body of { id, type, data }.
+   * @param {Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {Object} { id, type, data } where type is one of payment.succeeded,
+   * payment.failed, payment.refunded or payment.disputed
+   */
+  parseWebhook(rawBody, headers) {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('Webhook secret is not configured');
+    }
+
+    const header = headers['x-payment-signature'] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || !parts.v1) {
+      throw new Error('Missing webhook signature');
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(signWebhook(rawBody, secret, timestamp));
+    const received = Buffer.from(header.replace(/\s/g, ''));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString());
+    } catch (error) {
+      throw new Error('Webhook body is not valid JSON');
+    }
+
+    if (!event || typeof event.id !== 'string' || typeof event.type !== 'string' || typeof event.data !== 'object') {
+      throw new Error('Webhook body must include id, type and data');
+    }
+
+    return event;
+  }
+}
+
+PaymentProvider.signWebhook = signWebhook;
+
+module.exports = PaymentProvider;
@@ -0,0 +1,207 @@
+const MockPaymentProvider = require('./MockPaymentProvider');
+
+// Provider factories by name; PAYMENT_PROVIDER picks one (default: mock)
+const providerFactories = {
+  mock: () => new MockPaymentProvider()
+};
+
+let activeProvider = null;
+
+/**
+ * Register a payment provider so it can be selected with PAYMENT_PROVIDER
+ * @param {string} name - Provider name
+ * @param {Function} factory - Returns a PaymentProvider instance
+ */
+const registerPaymentProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  if (activeProvider && activeProvider.name === name) {
+    activeProvider = null;
+  }
+};
+
+/**
+ * Get the configured payment provider
+ * @returns {PaymentProvider} Provider instance
+ */
+const getPaymentProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.PAYMENT_PROVIDER || 'mock';
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+/**
+ * Authorize and capture the payment for a reservation. Updates
+ * reservation.paymentDetails but does not save the reservation.
+ * @param {Object} reservation - Reservation document
+ * @param {Object} options - { token } payment token from the client
+ * @returns {Promise<Object>} { success, pending, message }
+ */
+const chargeReservation = async (reservation, { token } = {}) => {
+  const provider = getPaymentProvider();
+  const payment = reservation.paymentDetails;
+  payment.provider = provider.name;
+
+  const fail = (message) => {
+    payment.status = 'failed';
+    payment.failureReason = message;
+    return { success: false, message };
+  };
+
+  let authorization;
+  try {
+    authorization = await provider.authorize({
+      amount: reservation.totalAmount,
+      currency: payment.currency,
+      method: payment.method,
+      token,
+      reference: reservation.reservationNumber
+    });
+  } catch (error) {
+    console.error('Payment authorization error:', error);
+    return fail('Payment provider unavailable');
+  }
+
+  if (!authorization.success) {
+    return fail(authorization.message || 'Payment was declined');
+  }
+
+  payment.authorizationId = authorization.authorizationId;
+  payment.status = 'authorized';
+
+  let capture;
+  try {
+    capture = await provider.capture(authorization.authorizationId, reservation.totalAmount);
+  } catch (error) {
+    console.error('Payment capture error:', error);
+    capture = { success: false, message: 'Payment provider unavailable' };
+  }
+
+  if (!capture.success) {
+    // Don't leave funds reserved on the customer's card
+    try {
+      await provider.void(authorization.authorizationId);
+    } catch (error) {
+      console.error('Payment void error:', error);
+    }
+    return fail(capture.message || 'Payment could not be captured');
+  }
+
+  payment.transactionId = capture.transactionId;
+  payment.failureReason = undefined;
+
+  // The provider confirms asynchronous captures later through the payment webhook
+  if (capture.pending) {
+    payment.status = 'processing';
+    return { success: true, pending: true };
+  }
+
+  payment.status = 'captured';
+  payment.paymentDate = new Date();
+
+  return { success: true };
+};
+
+/**
+ * Charge a price increase on an existing reservation (e.g. a seat upgrade) as a
+ * separate payment. Does not touch reservation.paymentDetails; record the
+ * returned transaction with reservation.recordPriceCharge. The change is saved
+ * straight away, so a capture the provider would only confirm later is refunded
+ * and reported as a failure.
+ * @param {Object} reservation - Reservation document
+ * @param {number} amount - Amount to charge
+ * @param {Object} options - { token } payment token from the client
+ * @returns {Promise<Object>} { success, transactionId, message }
+ */
+const chargePriceDifference = async (reservation, amount, { token } = {}) => {
+  const payment = reservation.paymentDetails;
+  if (payment.method === 'cash') {
+    return { success: false, message: 'Price differences on cash bookings are paid at the box office' };
+  }
+
+  const provider = getPaymentProvider();
+
+  let authorization;
+  try {
+    authorization = await provider.authorize({
+      amount,
+      currency: payment.currency,
+      method: payment.method,
+      token,
+      reference: reservation.reservationNumber
+    });
+  } catch (error) {
+    console.error('Payment authorization error:', error);
+    return { success: false, message: 'Payment provider unavailable' };
+  }
+
+  if (!authorization.success) {
+    return { success: false, message: authorization.message || 'Payment was declined' };
+  }
+
+  let capture;
+  try {
+    capture = await provider.capture(authorization.authorizationId, amount);
+  } catch (error) {
+    console.error('Payment capture error:', error);
+    capture = { success: false, message: 'Payment provider unavailable' };
+  }
+
+  if (!capture.success) {
+    try {
+      await provider.void(authorization.authorizationId);
+    } catch (error) {
+      console.error('Payment void error:', error);
+    }
+    return { success: false, message: capture.message || 'Payment could not be captured' };
+  }
+
+  if (capture.pending) {
+    try {
+      const reversal = await provider.refund(capture.transactionId, amount);
+      if (!reversal.success) {
+        console.error('Payment reversal error:', reversal.message);
+      }
+    } catch (error) {
+      console.error('Payment reversal error:', error);
+    }
+    return { success: false, message: 'Price differences need a payment method that settles immediately' };
+  }
+
+  return { success: true, transactionId: capture.transactionId };
+};
+
+/**
+ * Send a refund back through the payment provider. Cash refunds are
+ * handed over in person, so they don't go through the provider.
+ * @param {Object} refund - Refund document
+ * @returns {Promise<string|null>} Provider refund ID, or null for cash
+ * @throws {Error} RefundPayoutError when the provider declines the refund
+ */
+const refundPayment = async (refund) => {
+  if (refund.method === 'cash') {
+    return null;
+  }
+
+  const result = await getPaymentProvider().refund(refund.originalTransactionId, refund.amount);
+  if (!result.success) {
+    const error = new Error(`Refund failed: ${result.message || 'declined by payment provider'}`);
+    error.name = 'RefundPayoutError';
+    throw error;
+  }
+
+  return result.refundId;
+};
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+  chargeReservation,
+  chargePriceDifference,
+  refundPayment
+};
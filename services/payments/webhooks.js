@@ -0,0 +1,206 @@
+const Reservation = require('../../models/Reservation');
+const Showtime = require('../../models/Showtime');
+const PromoCode = require('../../models/PromoCode');
+const PromoRedemption = require('../../models/PromoRedemption');
+const Refund = require('../../models/Refund');
+const { offerSeatsToWaitlist } = require('../../jobs/waitlist');
+
+/**
+ * Find the reservation a webhook refers to
+ * @param {Object} data - Event data ({ transactionId, authorizationId, reservationNumber })
+ * @returns {Promise<Object|null>} Reservation document
+ */
+const findReservationForEvent = (data) => {
+  const conditions = [];
+  if (data.transactionId) {
+    conditions.push({ 'paymentDetails.transactionId': data.transactionId });
+    conditions.push({ 'priceAdjustments.transactionId': data.transactionId });
+  }
+  if (data.authorizationId) conditions.push({ 'paymentDetails.authorizationId': data.authorizationId });
+  if (data.reservationNumber) conditions.push({ reservationNumber: data.reservationNumber });
+
+  if (conditions.length === 0) {
+    return Promise.resolve(null);
+  }
+
+  return Reservation.findOne({ $or: conditions });
+};
+
+/**
+ * Release the seats and promo code use of a reservation cancelled for non-payment
+ * @param {Object} reservation - Cancelled reservation document
+ */
+const releaseUnpaidReservation = async (reservation) => {
+  const showtimeId = reservation.showtime._id || reservation.showtime;
+  await Showtime.unlockSeats(showtimeId, reservation.seats);
+
+  const redemption = await PromoRedemption.findOne({ reservation: reservation._id });
+  if (redemption) {
+    await PromoCode.releaseRedemption(redemption);
+  }
+
+  offerSeatsToWaitlist(showtimeId).catch(error => {
+    console.error('Waitlist offer error:', error);
+  });
+};
+
+const handlers = {
+  'payment.succeeded': async (reservation, data) => {
+    if (reservation.paymentDetails.status === 'captured') {
+      return { status: 'ignored', result: 'already_captured' };
+    }
+
+    reservation.paymentDetails.status = 'captured';
+    reservation.paymentDetails.transactionId = data.transactionId || reservation.paymentDetails.transactionId;
+    reservation.paymentDetails.paymentDate = new Date();
+
+    if (reservation.status === 'pending') {
+      reservation.confirm();
+      await reservation.save();
+      return { status: 'processed', result: 'reservation_confirmed' };
+    }
+
+    // The booking was cancelled before the money arrived, so all of it goes back
+    if (reservation.status === 'cancelled' &&
+        !await Refund.exists({ reservation: reservation._id, kind: 'cancellation', status: { $ne: 'rejected' } })) {
+      reservation.refundAmount = reservation.amountPaid;
+      await reservation.save();
+      await Refund.queueForReservation(reservation);
+      return { status: 'processed', result: 'refund_queued' };
+    }
+
+    await reservation.save();
+    return { status: 'processed', result: 'payment_recorded' };
+  },
+
+  'payment.failed': async (reservation, data) => {
+    if (reservation.status !== 'pending') {
+      return { status: 'ignored', result: `reservation_${reservation.status}` };
+    }
+
+    reservation.failPayment(data.reason || 'Payment was declined');
+    await reservation.save();
+    await releaseUnpaidReservation(reservation);
+
+    return { status: 'processed', result: 'reservation_cancelled' };
+  },
+
+  'payment.refunded': async (reservation, data) => {
+    const transactionId = data.transactionId || reservation.paymentDetails.transactionId;
+    const amount = data.amount || reservation.totalAmount;
+
+    // Already paid out through the refund queue
+    if (data.refundId && await Refund.exists({ reservation: reservation._id, payoutReference: data.refundId })) {
+      return { status: 'ignored', result: 'refund_already_recorded' };
+    }
+
+    // A queued refund for the same payment and amount was paid out at the provider
+    const queued = await Refund.findOne({
+      reservation: reservation._id,
+      originalTransactionId: transactionId,
+      amount,
+      status: { $in: ['pending', 'approved'] }
+    }).sort({ createdAt: 1 });
+
+    if (queued) {
+      await Refund.processRefund(queued._id, undefined, {
+        reference: data.refundId,
+        payout: async () => data.refundId
+      });
+      return { status: 'processed', result: 'refund_recorded' };
+    }
+
+    // Refunded directly at the provider. When it covers the booking the booking is
+    // over: cancel it so the seats are released and the ticket stops working. A partial
+    // refund leaves the booking standing, like a price adjustment.
+    const coversBooking = amount >= reservation.totalAmount;
+    if (coversBooking && reservation.status === 'confirmed') {
+      try {
+        await reservation.transitionTo('cancelled', {
+          reason: 'Refunded by payment provider',
+          override: true,
+          actor: 'system'
+        });
+        reservation.refundAmount = amount;
+        await reservation.save();
+        offerSeatsToWaitlist(reservation.showtime._id).catch(error => {
+          console.error('Waitlist offer error:', error);
+        });
+      } catch (error) {
+        // e.g. the showtime has already started; the refund is still recorded below
+        if (error.name !== 'StatusTransitionError') throw error;
+      }
+    }
+
+    // Record it so the ledger still balances
+    const refund = await Refund.create({
+      reservation: reservation._id,
+      user: reservation.user,
+      amount,
+      currency: reservation.paymentDetails.currency,
+      method: reservation.paymentDetails.method,
+      originalTransactionId: transactionId,
+      kind: coversBooking ? 'cancellation' : 'price_adjustment',
+      reason: 'Refunded by payment provider'
+    });
+
+    await Refund.processRefund(refund._id, undefined, {
+      reference: data.refundId,
+      payout: async () => data.refundId
+    });
+
+    return { status: 'processed', result: coversBooking ? 'reservation_refunded' : 'refund_recorded' };
+  },
+
+  'payment.disputed': async (reservation) => {
+    reservation.paymentDetails.status = 'disputed';
+    reservation.paymentDetails.disputedAt = new Date();
+    // Saving records payment_disputed in the reservation history
+    await reservation.save();
+
+    return { status: 'processed', result: 'payment_disputed' };
+  }
+};
+
+/**
+ * Apply a stored payment event and record the outcome on it
+ * @param {Object} paymentEvent - PaymentEvent document
+ * @returns {Promise<Object>} The updated PaymentEvent
+ */
+const processPaymentEvent = async (paymentEvent) => {
+  paymentEvent.attempts += 1;
+
+  try {
+    const handler = handlers[paymentEvent.type];
+    const data = paymentEvent.payload.data || {};
+    const reservation = handler ? await findReservationForEvent(data) : null;
+    let outcome;
+
+    if (!handler) {
+      outcome = { status: 'ignored', result: 'unsupported_event_type' };
+    } else if (!reservation) {
+      outcome = { status: 'ignored', result: 'reservation_not_found' };
+    } else {
+      paymentEvent.reservation = reservation._id;
+      reservation.setActor('payment_provider');
+      outcome = await handler(reservation, data);
+    }
+
+    paymentEvent.status = outcome.status;
+    paymentEvent.result = outcome.result;
+    paymentEvent.lastError = undefined;
+    paymentEvent.processedAt = new Date();
+  } catch (error) {
+    console.error('Payment event error:', error);
+    paymentEvent.status = 'failed';
+    paymentEvent.lastError = error.message;
+  }
+
+  await paymentEvent.save();
+  return paymentEvent;
+};
+
+module.exports = {
+  processPaymentEvent,
+  releaseUnpaidReservation
+};
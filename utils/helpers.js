@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { signTicket } = require('./tickets');
 
 /**
  * Generate a random string of specified length
@@ -129,20 +130,9 @@ const sanitizeString = (str) => {
 /**
  * Generate QR code data for reservation
  * @param {Object} reservation - Reservation object
- * @returns {string} QR code data
+ * @returns {string} Signed ticket code (verified at check-in with utils/tickets.verifyTicket)
  */
-const generateQRData = (reservation) => {
-  const data = {
-    reservationNumber: reservation.reservationNumber,
-    movieTitle: reservation.showtime.movie.title,
-    theaterName: reservation.showtime.theater.name,
-    showtime: reservation.showtime.startTime,
-    seats: reservation.seats.map(seat => `${seat.row}${seat.number}`).join(','),
-    totalAmount: reservation.totalAmount
-  };
-  
-  return JSON.stringify(data);
-};
+const generateQRData = (reservation) => signTicket(reservation);
 
 /**
  * Calculate distance between two coordinates
@@ -0,0 +1,134 @@
+// Scoring weights for seat blocks (higher score is better)
+const WEIGHTS = {
+  horizontal: 40, // distance of the block from the middle of its row
+  vertical: 30, // distance of the row from the middle of the auditorium
+  orphan: 25 // each single empty seat the block would strand
+};
+
+/**
+ * Group a showtime seat map into rows sorted by seat number
+ * @param {Array} seatMap - Showtime seats ({ row, number, type, price, isAvailable })
+ * @returns {Array} Rows as { row, seats } sorted by row letter
+ */
+const groupByRow = (seatMap) => {
+  const rows = new Map();
+  for (const seat of seatMap) {
+    if (!rows.has(seat.row)) rows.set(seat.row, []);
+    rows.get(seat.row).push(seat);
+  }
+
+  return [...rows.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([row, seats]) => ({ row, seats: seats.sort((a, b) => a.number - b.number) }));
+};
+
+/**
+ * Count single empty seats a block would leave next to it in its row
+ * @param {Map} byNumber - Row seats keyed by seat number
+ * @param {number} first - First seat number of the block
+ * @param {number} last - Last seat number of the block
+ * @returns {number} Number of orphaned seats (0-2)
+ */
+const countOrphans = (byNumber, first, last) => {
+  const isFree = number => Boolean(byNumber.get(number) && byNumber.get(number).isAvailable);
+  let orphans = 0;
+  if (isFree(first - 1) && !isFree(first - 2)) orphans++;
+  if (isFree(last + 1) && !isFree(last + 2)) orphans++;
+  return orphans;
+};
+
+/**
+ * Score a set of seats in one row
+ * @param {Object} rowInfo - Row position and extent
+ * @param {Array} seats - Seats in the block
+ * @returns {number} Score (higher is better)
+ */
+const scoreBlock = (rowInfo, seats) => {
+  const { rowIndex, rowCount, minNumber, maxNumber, byNumber } = rowInfo;
+
+  const rowCenter = (minNumber + maxNumber) / 2;
+  const halfWidth = Math.max((maxNumber - minNumber) / 2, 1);
+  const blockCenter = seats.reduce((sum, seat) => sum + seat.number, 0) / seats.length;
+  const horizontal = Math.abs(blockCenter - rowCenter) / halfWidth;
+
+  const middleRow = (rowCount - 1) / 2;
+  const vertical = rowCount > 1 ? Math.abs(rowIndex - middleRow) / Math.max(middleRow, 1) : 0;
+
+  const orphans = countOrphans(byNumber, seats[0].number, seats[seats.length - 1].number);
+
+  const score = 100 -
+    horizontal * WEIGHTS.horizontal -
+    vertical * WEIGHTS.vertical -
+    orphans * WEIGHTS.orphan;
+
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Find the best available seats for a party.
+ * Prefers contiguous seats in a single row, close to the centre of the auditorium,
+ * that don't leave single empty seats stranded. Falls back to the best individual
+ * seats when no row has a long enough contiguous block.
+ * @param {Array} seatMap - Showtime seats ({ row, number, type, price, isAvailable })
+ * @param {number} count - Number of seats wanted
+ * @param {string} type - Seat type to restrict to (optional)
+ * @param {number} limit - Maximum number of options to return
+ * @returns {Array} Options as { seats, score, contiguous, totalAmount }, best first
+ */
+const findBestSeats = (seatMap, count, type, limit = 3) => {
+  const rows = groupByRow(seatMap);
+  const blocks = [];
+  const singles = [];
+
+  rows.forEach(({ row, seats }, rowIndex) => {
+    const rowInfo = {
+      rowIndex,
+      rowCount: rows.length,
+      minNumber: seats[0].number,
+      maxNumber: seats[seats.length - 1].number,
+      byNumber: new Map(seats.map(seat => [seat.number, seat]))
+    };
+
+    const candidates = seats.filter(seat => seat.isAvailable && (!type || seat.type === type));
+
+    for (const seat of candidates) {
+      singles.push({ seat, score: scoreBlock(rowInfo, [seat]) });
+    }
+
+    // Slide a window over the candidates looking for runs of consecutive seat numbers
+    for (let start = 0; start + count <= candidates.length; start++) {
+      const window = candidates.slice(start, start + count);
+      const isContiguous = window.every((seat, i) => i === 0 || seat.number === window[i - 1].number + 1);
+      if (isContiguous) {
+        blocks.push({ seats: window, score: scoreBlock(rowInfo, window), contiguous: true });
+      }
+    }
+  });
+
+  let options = blocks.sort((a, b) => b.score - a.score).slice(0, limit);
+
+  if (options.length === 0 && singles.length >= count) {
+    const picked = singles.sort((a, b) => b.score - a.score).slice(0, count);
+    options = [{
+      seats: picked.map(({ seat }) => seat).sort((a, b) => a.row.localeCompare(b.row) || a.number - b.number),
+      score: Math.round((picked.reduce((sum, { score }) => sum + score, 0) / count) * 100) / 100,
+      contiguous: false
+    }];
+  }
+
+  return options.map(option => ({
+    seats: option.seats.map(seat => ({
+      row: seat.row,
+      number: seat.number,
+      type: seat.type,
+      price: seat.price
+    })),
+    score: option.score,
+    contiguous: option.contiguous,
+    totalAmount: option.seats.reduce((total, seat) => total + seat.price, 0)
+  }));
+};
+
+module.exports = {
+  findBestSeats
+};
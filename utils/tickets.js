@@ -0,0 +1,56 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+
+// Ticket codes are JWTs with their own audience, so a login token can't pass as a ticket
+const TICKET_AUDIENCE = 'movie-ticket';
+
+const getTicketSecret = () => process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Create the signed code printed in a reservation's QR ticket
+ * @param {Object} reservation - Reservation document
+ * @returns {string} Signed ticket code
+ */
+const signTicket = (reservation) => jwt.sign(
+  {
+    reservation: reservation._id.toString(),
+    reservationNumber: reservation.reservationNumber,
+    showtime: (reservation.showtime._id || reservation.showtime).toString(),
+    seats: reservation.seats.map(seat => `${seat.row}${seat.number}`).join(',')
+  },
+  getTicketSecret(),
+  { audience: TICKET_AUDIENCE }
+);
+
+/**
+ * Verify a scanned ticket code
+ * @param {string} code - Ticket code from the QR image
+ * @returns {Object} Ticket payload ({ reservation, reservationNumber, showtime, seats })
+ * @throws {Error} If the code was not signed by this server or has been altered
+ */
+const verifyTicket = (code) => {
+  try {
+    return jwt.verify(code, getTicketSecret(), { audience: TICKET_AUDIENCE });
+  } catch (error) {
+    throw new Error('Ticket signature is invalid');
+  }
+};
+
+/**
+ * Render a ticket code as a QR image
+ * @param {string} code - Signed ticket code
+ * @param {string} format - 'png' or 'svg'
+ * @returns {Promise<Buffer|string>} PNG buffer or SVG markup
+ */
+const renderTicket = (code, format = 'png') => {
+  if (format === 'svg') {
+    return QRCode.toString(code, { type: 'svg', errorCorrectionLevel: 'M' });
+  }
+  return QRCode.toBuffer(code, { type: 'png', errorCorrectionLevel: 'M', width: 300 });
+};
+
+module.exports = {
+  signTicket,
+  verifyTicket,
+  renderTicket
+};